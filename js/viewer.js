@@ -1,744 +1,4882 @@
 /* viewer.js — Harmony Viewer (drop-in)
-   - Verovio render + chord-step grouping
-   - Analysis JSON overlay (HTML elements, does NOT touch SVG)
-   - WebMIDI:
+   - Verovio render + chord-step grouping (single line, or wrapped pages/systems that follow the step)
+   - Analysis overlay from JSON, labels in the score or analysis=auto (HTML elements, does NOT touch SVG);
+     edit=yes adds an editor (localStorage drafts, JSON export)
+   - Export: standalone SVG / PNG with labels, print handouts (labels or blank boxes)
+   - Transposition (transpose=..., live by CC / command): score, absolute labels and MIDI notes follow
+   - WebMIDI (default control map "max"; midimap=live or a JSON map rebinds every CC, see MIDI_MAP_PRESETS):
+       IN  (CC21): transposition in semitones (64 = as written, 66 = up a whole tone)
        IN  (CC22): step index (1..N, 0 clears)
+       IN  (CC27): label display mode (0 current, 1 reveal, 2 all)
+       IN  (CC28): playback (0 pause, 1..127 play)
+       IN  (CC29): playback tempo (value x 2 = quarter notes per minute)
+       IN  (notes): quiz=... compares the keys held on a MIDI keyboard with the current step
+       IN  (clock, Start/Stop/Continue, Song Position Pointer): follow=... highlights the step at the DAW's position
        OUT (CC23): total steps (sent on activate + on load)
        OUT (CC24): slide index (sent when Reveal tells us)
-       OUT (notes): pitches of current step (note-ons burst)
-   - Embeds:
-       harmony-activate / harmony-deactivate via postMessage
-       reveal-slide-visible via postMessage (index)
-       viewer-height via postMessage back to parent
+       OUT (notes): sounding pitches of current step (held until the next step or retriggered with a
+                    duration; per-pitch note-offs, tied notes keep ringing; channel/velocity/arpeggio by URL)
+   - Web Audio synth (sound=audio|both): current step's chord, whole-score playback
+   - Embeds: postMessage protocol "harmony-viewer" v1 (see README "Host protocol")
+       host -> viewer: hello, activate, deactivate, set-step, next, previous, clear, set-label-mode,
+                       play, pause, toggle-play, set-tempo, transpose, get-state, get-step-count,
+                       get-analysis, export, print
+       viewer -> host: ready, step-changed, label-mode-changed, transposition-changed, step-count, state,
+                       analysis, export, resize, report (debug=yes), error
+       only origins from origins=... (default: the viewer's own origin) are heard and addressed
+   - Component: createHarmonyViewer(container, options) or <harmony-viewer score="..." ...>
+       per-instance state, methods (setStep, next, load, destroy...), "harmony:<event>" DOM events;
+       several viewers per page share one Web MIDI connection (only the active one listens/sounds)
+       index.html = one page-owning viewer built from the URL parameters
 */
 
 (() => {
   "use strict";
 
   // ---------------------------
-  // URL params / flags
+  // Shared by every viewer on the page
   // ---------------------------
-  const params = new URLSearchParams(window.location.search);
-  const SCORE_URL = params.get("score") || "";
-  const TITLE = params.get("title") || "";
-  const DEBUG = (params.get("debug") || "").toLowerCase() === "yes";
-
-  // zoom param:
-  //   zoom=fit (default)
-  //   zoom=0.85 (manual)
-  const zoomParamRaw = params.get("zoom");
-  const ZOOM_MODE =
-    zoomParamRaw === null || zoomParamRaw === "" || zoomParamRaw.toLowerCase() === "fit"
-      ? "fit"
-      : "manual";
-  const MANUAL_ZOOM =
-    ZOOM_MODE === "manual" ? Math.max(0.2, Math.min(4, Number(zoomParamRaw))) : null;
-
-  // Optional port overrides:
-  //   in=...
-  //   out=...
-  const IN_PORT_HINT = params.get("in") || "max->browser";
-  const OUT_PORT_HINT = params.get("out") || "browser->max";
-
-  const IS_EMBEDDED = window.self !== window.top;
-  const FUNCTION_OFFSET_Y = 25; // px, adjust to taste
-
-
-  // ---------------------------
-  // DOM
-  // ---------------------------
-  const elTitle = document.getElementById("title");
-  const elDebugControls = document.getElementById("debug-controls");
-  const elNextBtn = document.getElementById("nextBtn");
-  const elViewer = document.getElementById("viewer");
-  const elScore = document.getElementById("score");
-  const elOverlay = document.getElementById("analysis-overlay");
-  const elStufe = elOverlay ? elOverlay.querySelector(".analysis-stufe") : null;
-  const elFunc = elOverlay ? elOverlay.querySelector(".analysis-function") : null;
-  const elZoomIndicator = document.getElementById("zoom-indicator");
-
-  if (TITLE && elTitle) {
-    elTitle.textContent = TITLE;
-    elTitle.hidden = false;
-  }
-  if (DEBUG) {
-    if (elDebugControls) elDebugControls.hidden = false;
-    if (elZoomIndicator) elZoomIndicator.hidden = false;
+  // document.currentScript only exists while this file runs, not when a viewer is created later
+  const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+  const ANALYSIS_SCHEMA_URL = new URL("../schemas/analysis.schema.json", SCRIPT_URL).toString();
+
+  // One Web MIDI connection per page. Every viewer binds its own ports on it; only the active
+  // viewer (last clicked / focused / activate()d, or the one the Reveal plugin activated) reacts
+  // to MIDI input and makes sound.
+  const midiHub = {
+    access: null, // Promise<MIDIAccess | null>
+    viewers: new Set(), // { isActive(), deactivate(), claim() } per live viewer in this window
+  };
+
+  function requestSharedMidiAccess() {
+    // Refused (permission, insecure context, sandboxed iframe) = no MIDI, never a failed viewer;
+    // the next viewer asks again
+    if (!midiHub.access) {
+      midiHub.access = navigator.requestMIDIAccess
+        ? Promise.resolve()
+            .then(() => navigator.requestMIDIAccess({ sysex: false }))
+            .catch((e) => {
+              console.warn("WebMIDI access refused:", e && e.message ? e.message : e);
+              midiHub.access = null;
+              return null;
+            })
+        : Promise.resolve(null);
+    }
+    return midiHub.access;
   }
 
   // ---------------------------
-  // State
+  // Score formats: format=... wins, then the file extension, then a look at the content
+  // (.xml may be MusicXML or MEI; unknown content is left to Verovio's own detection)
   // ---------------------------
-  let vrvToolkit = null;
-
-  // harmonicSteps: Array< Array<noteGroupIdString> >
-  let harmonicSteps = [];
-  let highlightedStep = 0;
-
-  // analysis JSON: { title, steps:[ { stufe, function, ... }, ... ] }
-  let analysis = null;
-  let globalAnalysisBaselineY = null;
+  const SCORE_FORMATS = ["musicxml", "mxl", "mei", "humdrum", "abc"];
+  const SCORE_FORMAT_ALIASES = { xml: "musicxml", kern: "humdrum", krn: "humdrum" };
+  const SCORE_EXTENSIONS = { musicxml: "musicxml", mxl: "mxl", mei: "mei", krn: "humdrum", hmd: "humdrum", abc: "abc" };
+
+  function normalizeScoreFormat(raw) {
+    const f = String(raw || "").trim().toLowerCase();
+    const format = SCORE_FORMAT_ALIASES[f] || f;
+    return SCORE_FORMATS.includes(format) ? format : null;
+  }
 
+  function scoreFormatFromUrl(url) {
+    // Path only: "score.php?file=x.mei" says nothing
+    let path = String(url || "");
+    try {
+      path = new URL(path, window.location.href).pathname;
+    } catch {
+      path = path.split(/[?#]/)[0];
+    }
+    const m = path.match(/\.([a-z0-9]+)$/i);
+    return m ? SCORE_EXTENSIONS[m[1].toLowerCase()] || null : null;
+  }
 
-  // activation gating (important for embeds!)
-  let isActiveViewer = !IS_EMBEDDED; // standalone = active by default
-  let currentSlideIndex = 0;
+  function isZip(bytes) {
+    return bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+  }
 
-  // MIDI
-  let midiAccess = null;
-  let midiIn = null;
-  let midiOut = null;
+  function decodeScoreText(bytes) {
+    // UTF-8 unless a UTF-16 byte order mark says otherwise (some MusicXML exporters)
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes);
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes);
+    return new TextDecoder("utf-8").decode(bytes);
+  }
 
-  // group->pitches cache (computed from Verovio)
-  // stepPitches[stepIndex-1] = [midiPitch,...]
-  let stepPitches = [];
+  function sniffScoreFormat(bytes) {
+    if (isZip(bytes)) return "mxl";
+    const head = decodeScoreText(bytes.subarray(0, 4096)).replace(/^\uFEFF/, "");
+    if (/<mei[\s>]/.test(head)) return "mei";
+    if (/<score-(partwise|timewise)[\s>]/.test(head)) return "musicxml";
+    if (/^\s*(!!|\*\*)/.test(head)) return "humdrum";
+    if (/^X:\s*\d/m.test(head)) return "abc";
+    return null;
+  }
 
   // ---------------------------
-  // Utilities
+  // Transposition values (transpose=..., CC21, "transpose" command): what Verovio's transpose option takes
   // ---------------------------
-  function clampInt(n, lo, hi) {
-    n = Number(n);
-    if (!Number.isFinite(n)) return lo;
-    return Math.max(lo, Math.min(hi, Math.trunc(n)));
+  function normalizeTransposition(raw) {
+    // -> "" (none), "M2" / "-m3" (interval), "+2" / "-5" (semitones), "Eb" (key), or null (not a transposition)
+    const t = String(raw ?? "").trim();
+    if (!t || t.toLowerCase() === "none" || /^[+-]?P1$/.test(t)) return "";
+    if (/^[+-]?\d{1,2}$/.test(t)) return Number(t) === 0 ? "" : `${Number(t) > 0 ? "+" : ""}${Number(t)}`;
+    if (/^[+-]?(?:P|M|m|A+|d+)\d{1,2}$/.test(t)) return t.replace(/^\+/, "");
+    if (/^[A-Ga-g][#b]?$/.test(t)) return t[0].toUpperCase() + t.slice(1);
+    return null;
   }
 
-  function cssEscape(id) {
-    // Minimal escape for querySelector
-    return (window.CSS && CSS.escape) ? CSS.escape(id) : id.replace(/([ #;?%&,.+*~\':"!^$[\]()=>|/@])/g, "\\$1");
-  }
+  const LETTER_FIFTHS = { f: -1, c: 0, g: 1, d: 2, a: 3, e: 4, b: 5 };
+  const STEP_FIFTHS = [0, 2, 4, -1, 1, 3, 5]; // unison..seventh, major / perfect
+
+  function transpositionFifths(t, writtenFifths) {
+    // Normalised transposition -> how many fifths it moves pitch names ("M2" -> 2, "-m3" -> 3, "+2" -> 2);
+    // to a key ("Eb"): from the written key signature (none = C). Semitones are spelled the short way.
+    if (!t) return 0;
+    const key = t.match(/^([A-G])(#|b)?$/);
+    if (key) return LETTER_FIFTHS[key[1].toLowerCase()] + (key[2] === "#" ? 7 : key[2] === "b" ? -7 : 0) - writtenFifths;
+
+    const semis = t.match(/^([+-])(\d+)$/);
+    if (semis) {
+      const f = (((Number(semis[2]) * 7) % 12) + 12) % 12; // 0..11 fifths up
+      const up = f > 6 ? f - 12 : f;
+      return semis[1] === "-" ? -up : up;
+    }
 
-  function log(...a) {
-    if (DEBUG) console.log(...a);
+    const m = t.match(/^(-?)(P|M|m|A+|d+)(\d+)$/);
+    const step = (Number(m[3]) - 1) % 7;
+    const perfect = step === 0 || step === 3 || step === 4;
+    let f = STEP_FIFTHS[step];
+    if (m[2] === "m") f -= 7;
+    else if (m[2][0] === "A") f += 7 * m[2].length;
+    else if (m[2][0] === "d") f -= 7 * (m[2].length + (perfect ? 0 : 1));
+    return m[1] === "-" ? -f : f;
   }
 
-  function warn(...a) {
-    console.warn(...a);
+  async function unzipMxl(bytes) {
+    // Compressed MusicXML: a zip whose META-INF/container.xml names the score ("rootfile")
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1; // end of central directory record, within the last 64 KiB (+ comment)
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error(".mxl: not a zip file");
+
+    const entries = new Map(); // name -> { method, size, offset (local header) }
+    let p = view.getUint32(eocd + 16, true);
+    for (let n = view.getUint16(eocd + 10, true); n > 0; n--) {
+      if (view.getUint32(p, true) !== 0x02014b50) throw new Error(".mxl: damaged zip directory");
+      const nameLen = view.getUint16(p + 28, true);
+      const name = new TextDecoder("utf-8").decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      entries.set(name, {
+        method: view.getUint16(p + 10, true),
+        size: view.getUint32(p + 20, true),
+        offset: view.getUint32(p + 42, true),
+      });
+      p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+    }
+
+    const read = async (name) => {
+      const e = entries.get(name);
+      const start = e.offset + 30 + view.getUint16(e.offset + 26, true) + view.getUint16(e.offset + 28, true);
+      const data = bytes.subarray(start, start + e.size);
+      if (e.method === 0) return data; // stored
+      if (e.method !== 8) throw new Error(`.mxl: ${name} uses an unsupported compression (${e.method})`);
+      if (typeof DecompressionStream === "undefined") throw new Error(".mxl: this browser cannot unzip (no DecompressionStream)");
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    let rootfile = null;
+    if (entries.has("META-INF/container.xml")) {
+      const container = new DOMParser().parseFromString(decodeScoreText(await read("META-INF/container.xml")), "application/xml");
+      const el = container.querySelector("rootfile[full-path]");
+      rootfile = el ? el.getAttribute("full-path") : null;
+    }
+    if (!rootfile || !entries.has(rootfile)) {
+      rootfile = Array.from(entries.keys()).find((n) => !n.startsWith("META-INF/") && /\.(musicxml|xml)$/i.test(n));
+    }
+    if (!rootfile) throw new Error(".mxl: no MusicXML file inside");
+    return decodeScoreText(await read(rootfile));
   }
 
-  function normalizePortName(s) {
-    return String(s || "")
-      .toLowerCase()
-      .replace(/[→➔⇒]/g, "->")
-      .replace(/[–—]/g, "-")
-      .replace(/\s+/g, "")
-      .replace(/[^a-z0-9<>\-_.]/g, "");
+  function optionsToParams(options) {
+    // Options use the URL parameter names: { score, analysis, labels: "reveal", ... };
+    // objects (inline analysis / midimap) become JSON, booleans "yes" / "no"
+    if (options instanceof URLSearchParams) return options;
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(options || {})) {
+      if (value === undefined || value === null || name === "page") continue;
+      if (typeof value === "boolean") params.set(name, value ? "yes" : "no");
+      else if (typeof value === "object") params.set(name, JSON.stringify(value));
+      else params.set(name, String(value));
+    }
+    return params;
   }
 
-  function pickMidiPort(mapLike, hint) {
-    const ports = Array.from(mapLike.values());
-    if (ports.length === 0) return null;
+  // ---------------------------
+  // createHarmonyViewer(container, options) -> viewer API (see README "Using the viewer as a component")
+  //   options: the URL parameters as an object (or URLSearchParams)
+  //   options.page = true: the viewer owns the page (index.html): document-wide keys, host
+  //   postMessage protocol when framed, height reports
+  // ---------------------------
+  function createHarmonyViewer(container, options = {}) {
+    if (!container || typeof container.appendChild !== "function") {
+      throw new Error("createHarmonyViewer: container must be a DOM element");
+    }
+
+    // ---------------------------
+    // URL params / flags
+    // ---------------------------
+    const params = optionsToParams(options);
+    const PAGE = !!(options && options.page === true);
+    let SCORE_URL = params.get("score") || "";
+    const TITLE = params.get("title") || "";
+    const DEBUG = (params.get("debug") || "").toLowerCase() === "yes";
+    const EDIT_MODE = (params.get("edit") || "").toLowerCase() === "yes"; // analysis editor under the score
+
+    // export / handout params:
+    //   export=yes            SVG / PNG / print buttons under the score (always there with edit=yes)
+    //   pngscale=2            PNG resolution, pixels per CSS pixel (default 2)
+    //   handout=labels|blank  handout look: every label (or empty boxes), no highlight, no controls
+    const EXPORT_CONTROLS = EDIT_MODE || (params.get("export") || "").toLowerCase() === "yes";
+    const PNG_SCALE = Math.max(0.5, Math.min(8, Number(params.get("pngscale")) || 2));
+    const HANDOUT_PARAM = (params.get("handout") || "").toLowerCase();
+
+    // zoom param:
+    //   zoom=fit (default)
+    //   zoom=0.85 (manual)
+    const zoomParamRaw = params.get("zoom");
+    const ZOOM_MODE =
+      zoomParamRaw === null || zoomParamRaw === "" || zoomParamRaw.toLowerCase() === "fit"
+        ? "fit"
+        : "manual";
+    const MANUAL_ZOOM =
+      ZOOM_MODE === "manual" ? Math.max(0.2, Math.min(4, Number(zoomParamRaw))) : null;
+
+    // analysis param (see "Analysis embedded in the score" for the precedence):
+    //   (absent)                  <score>.json next to the score, if it exists, else labels in the score
+    //   analysis=path/to/x.json   explicit file (shared between scores, or one of several analyses)
+    //   analysis=score            only the labels in the score (<harmony>, <harm>, **harm / **rhrm)
+    //   analysis=auto             generated from the chords and the key signature (see "Automatic analysis")
+    //   analysis=none             no analysis overlay
+    //   analysis={...}            inline, URL-encoded JSON
+    //   analysis=base64:eyJ...    inline, base64 / base64url JSON (or a data: URL)
+    let ANALYSIS_PARAM = (params.get("analysis") || "").trim();
+
+    // labels param (CC27 switches at runtime):
+    //   labels=current (default)  only the label under the current step
+    //   labels=reveal             every label up to the current step (progressive reveal)
+    //   labels=all                the whole progression, current label emphasised
+    const LABEL_MODES = ["current", "reveal", "all"];
+    const labelsParamRaw = (params.get("labels") || "").toLowerCase();
+
+    // colors param (default: the analysis file's "colorBy", else "step"):
+    //   colors=step      each step's own "color" from the analysis JSON
+    //   colors=function  one colour per function (T/S/D...), palette from the analysis "palette"
+    //   colors=mono      the classic single red highlight
+    const COLOR_MODES = ["step", "function", "mono"];
+    const colorsParamRaw = (params.get("colors") || "").toLowerCase();
+    const DEFAULT_FUNCTION_PALETTE = { T: "#4CAF50", S: "#2196F3", D: "#F44336" };
+
+    // layout param:
+    //   layout=line (default)  one long system, rendered by Verovio at the viewer width
+    //   layout=pages           wrap into systems/pages sized to the viewer, turn pages to follow the step
+    //   layout=scroll          wrap into systems, all pages stacked, scroll to follow the step
+    const layoutParamRaw = (params.get("layout") || "").toLowerCase();
+    const LAYOUT = layoutParamRaw === "pages" || layoutParamRaw === "scroll" ? layoutParamRaw : "line";
+    const IS_WRAPPED = LAYOUT !== "line";
+
+    // format param (default: from the file extension, else from the content; see "Score formats"):
+    //   format=musicxml   MusicXML (.musicxml, .xml)
+    //   format=mxl        compressed MusicXML (.mxl), unzipped in the browser
+    //   format=mei        MEI (.mei, .xml)
+    //   format=humdrum    Humdrum **kern (.krn; needs a Verovio build with Humdrum support)
+    //   format=abc        ABC (.abc)
+    let FORMAT_PARAM = normalizeScoreFormat(params.get("format"));
+
+    // transpose param (Verovio's transposition; CC21 / "transpose" command change it live, see "Transposition"):
+    //   transpose=M2 | -m3    by an interval (P, M, m, A, d + size; "-" = down)
+    //   transpose=+2 | -5     by semitones (Verovio chooses the spelling with the fewest accidentals)
+    //   transpose=Eb          to a key (the tonic of the score's key becomes Eb)
+    const TRANSPOSE_PARAM = normalizeTransposition(params.get("transpose"));
+
+    // Optional port overrides:
+    //   in=...
+    //   out=...
+    const IN_PORT_HINT = params.get("in") || "max->browser";
+    const OUT_PORT_HINT = params.get("out") || "browser->max";
+
+    // midimap param (which CCs drive the viewer, which CCs report back):
+    //   midimap=max (default)    the classic CC21..CC29 in, CC23/CC24 out
+    //   midimap=live             CC25 in selects the step, CC26 out reports the slide (META_scene)
+    //   midimap=maps/x.json      JSON file (or inline {...} / base64:...), may extend a preset:
+    //     { "preset": "live", "in": { "step": { "cc": 20, "resolution": "14bit" }, "next": 30 },
+    //       "out": { "step": { "nrpn": 300 }, "stepCount": null } }
+    const MIDIMAP_PARAM = (params.get("midimap") || "").trim();
+    const MIDI_MAP_PRESETS = {
+      max: {
+        in: { step: 22, labels: 27, play: 28, tempo: 29, transpose: 21 },
+        out: { stepCount: 23, slide: 24 },
+      },
+      live: {
+        in: { step: 25, labels: 27, play: 28, tempo: 29, transpose: 21 },
+        out: { stepCount: 23, slide: 26 },
+      },
+    };
+    const MIDI_IN_ACTIONS = ["step", "next", "previous", "clear", "labels", "play", "tempo", "transpose"];
+    const MIDI_OUT_MESSAGES = ["stepCount", "step", "slide"];
+
+    // Step detection:
+    //   held=yes        include notes still sounding from an earlier onset (not re-sent as MIDI)
+    //   rests=keep      onsets where only rests start become (silent) steps (default: skipped)
+    //   grace=separate  grace notes form their own step (default) | merge (into next step) | skip
+    const STEP_HELD = (params.get("held") || "").toLowerCase() === "yes";
+    const STEP_RESTS = (params.get("rests") || "").toLowerCase() === "keep" ? "keep" : "skip";
+    const graceParamRaw = (params.get("grace") || "").toLowerCase();
+    const STEP_GRACE = graceParamRaw === "merge" || graceParamRaw === "skip" ? graceParamRaw : "separate";
+
+    // Keyboard navigation (arrows, Home/End, digits, Escape, PageUp/PageDown):
+    //   keys=no  leave all keys to the host page (e.g. Reveal), clicks on notes still work
+    const KEYS_ENABLED = (params.get("keys") || "").toLowerCase() !== "no";
+    const DIGIT_TIMEOUT_MS = 600; // multi-digit step numbers ("1", "2" -> step 12)
+
+    // Sound of the selected step and of playback:
+    //   sound=midi (default)  note-ons to the MIDI output port (Max / Live)
+    //   sound=audio           built-in Web Audio synth (offline, no Max needed)
+    //   sound=both            MIDI notes and synth together
+    //   sound=none            silent (CC23/CC24 are still sent)
+    //   tempo=96              playback tempo in quarter notes per minute (default: the score's tempo)
+    const soundParamRaw = (params.get("sound") || "").toLowerCase();
+    const SOUND = ["audio", "both", "none"].includes(soundParamRaw) ? soundParamRaw : "midi";
+    const SOUND_MIDI = SOUND === "midi" || SOUND === "both";
+    const SOUND_AUDIO = SOUND === "audio" || SOUND === "both";
+    const TEMPO_PARAM = Number(params.get("tempo")) || null;
+    // MIDI notes out (sound=midi|both):
+    //   notes=hold (default)  the chord rings until the step changes, tied/held notes keep ringing
+    //   notes=retrigger       note-ons, then note-offs after duration=ms (default 500)
+    //   channel=1             MIDI channel 1..16
+    //   channels=1,2,10       one channel per staff (staff 1 -> 1, staff 2 -> 2...; other staves use channel=)
+    //   velocity=100          1..127
+    //   arp=up|down           arpeggiate low->high / high->low, arpdelay=ms between notes (default 60)
+    const MIDI_NOTE_MODE = (params.get("notes") || "").toLowerCase() === "retrigger" ? "retrigger" : "hold";
+    const MIDI_DURATION_MS = clampInt(params.get("duration") || 500, 10, 60000);
+    const MIDI_CHANNEL = clampInt(params.get("channel") || 1, 1, 16) - 1;
+    const MIDI_STAFF_CHANNELS = (params.get("channels") || "")
+      .split(",")
+      .filter((c) => c.trim() !== "")
+      .map((c) => clampInt(c, 1, 16) - 1);
+    const MIDI_VELOCITY = clampInt(params.get("velocity") || 100, 1, 127);
+    const arpParamRaw = (params.get("arp") || "").toLowerCase();
+    const MIDI_ARP = arpParamRaw === "up" || arpParamRaw === "down" ? arpParamRaw : null;
+    const MIDI_ARP_DELAY_MS = clampInt(params.get("arpdelay") || 60, 0, 2000);
+
+    // Quiz (students play the current step's chord on a MIDI keyboard, any input port):
+    //   quiz=exact        exactly the sounding pitches
+    //   quiz=pc           the same pitch classes, any octave / doubling
+    //   quiz=bass         the same pitch classes, lowest key = bass
+    //   quizadvance=yes   go to the next step after a correct answer
+    const quizParamRaw = (params.get("quiz") || "").toLowerCase();
+    const QUIZ_MODE = ["exact", "pc", "bass"].includes(quizParamRaw) ? quizParamRaw : null;
+    const QUIZ_ADVANCE = (params.get("quizadvance") || "").toLowerCase() === "yes";
+    const QUIZ_ADVANCE_MS = 800;
+
+    // Follow a DAW transport (MIDI clock, Start/Stop/Continue, Song Position Pointer on the bound input):
+    //   follow=beats      transport quarter notes = score quarter notes (the DAW follows the score's tempo)
+    //   follow=time       transport time at the DAW's clock tempo = score time with its own tempo markings
+    //   followoffset=4    transport quarter notes before score position 0 (count-in, pickup; may be negative)
+    const followParamRaw = (params.get("follow") || "").toLowerCase();
+    const FOLLOW_MODE = followParamRaw === "beats" || followParamRaw === "time" ? followParamRaw : null;
+    const FOLLOW_OFFSET_Q = Number(params.get("followoffset")) || 0;
+    const CLOCKS_PER_QUARTER = 24;
+
+    const TEMPO_MIN = 20;
+    const TEMPO_MAX = 300;
+    const SELECT_SOUND_SEC = 1.5; // chord length when a step is selected by hand
+
+    // Host messaging (postMessage protocol, see "Host messaging" below):
+    //   origins=https://slides.example.org,http://localhost:8000   hosts allowed to command the viewer
+    //   (default: the viewer's own origin; origins=* accepts any host)
+    const PROTOCOL = "harmony-viewer";
+    const PROTOCOL_VERSION = 1;
+    const ALLOWED_ORIGINS = parseAllowedOrigins(params.get("origins"));
+
+    // Only a page-owning viewer inside a frame talks to a host (the Reveal plugin)
+    const IS_EMBEDDED = PAGE && window.self !== window.top;
+    const FUNCTION_OFFSET_Y = 25; // px, adjust to taste
+    const BASE_SCALE = 40; // Verovio scale for wrapped layouts (zoom=... multiplies it)
+    const WRAPPED_SYSTEM_SPACING = 24; // MEI units, leaves room for the labels under each system
+
+
+    // ---------------------------
+    // DOM
+    // ---------------------------
+    // Built inside the container (classes, not ids: several viewers can share a page)
+    const root = container;
+    root.innerHTML = `
+      <h2 class="hv-title" hidden></h2>
+      <div class="controls hv-debug-controls" hidden>
+        <button class="hv-next" type="button">Next (debug)</button>
+      </div>
+      <ul class="hv-debug-log" hidden></ul>
+      <div class="hv-viewer">
+        <div class="hv-score"></div>
+        <div class="hv-overlay" hidden></div>
+      </div>
+      <div class="hv-export-controls" hidden>
+        <button type="button" data-export="svg">SVG</button>
+        <button type="button" data-export="png">PNG</button>
+        <button type="button" data-export="print">Print handout</button>
+        <button type="button" data-export="print-blank">Print exercise</button>
+      </div>
+      <div class="hv-editor" hidden>
+        <div class="hv-editor-step"></div>
+        <div class="hv-editor-fields">
+          <label>Stufe <input name="stufe" placeholder="V65/V" autocomplete="off"></label>
+          <label>Function <input name="function" placeholder="D" autocomplete="off"></label>
+          <label>Colour <input name="color" placeholder="#F44336" autocomplete="off"></label>
+          <label class="hv-editor-comment">Comment <input name="comment" autocomplete="off"></label>
+        </div>
+        <div class="hv-editor-actions">
+          <button type="button" data-action="move-earlier" title="Swap the label with the previous entry">← Move</button>
+          <button type="button" data-action="move-later" title="Swap the label with the next entry">Move →</button>
+          <button type="button" data-action="merge" title="This label also covers the next entry's steps">Merge with next</button>
+          <button type="button" data-action="split" title="Start a new label at this step">Split here</button>
+          <button type="button" data-action="copy">Copy JSON</button>
+          <button type="button" data-action="download">Download JSON</button>
+          <button type="button" data-action="discard">Discard draft</button>
+        </div>
+        <div class="hv-editor-notice" hidden></div>
+        <div class="hv-editor-status"></div>
+      </div>
+      <div class="hv-analysis-status" hidden>
+        <span class="hv-analysis-status-text"></span>
+        <button class="hv-export-analysis" type="button">Download JSON</button>
+      </div>
+      <div class="hv-quiz-status" hidden></div>
+      <div class="hv-zoom-indicator" hidden></div>`;
+
+    const elTitle = root.querySelector(".hv-title"); // title=...
+    const elDebugControls = root.querySelector(".hv-debug-controls"); // debug=yes
+    const elNextBtn = root.querySelector(".hv-next");
+    const elViewer = root.querySelector(".hv-viewer");
+    const elScore = root.querySelector(".hv-score");
+    const elOverlay = root.querySelector(".hv-overlay"); // HTML overlay (no touching the SVG), one .analysis-label per visible step
+    const elZoomIndicator = root.querySelector(".hv-zoom-indicator");
+    const elDebugLog = root.querySelector(".hv-debug-log"); // debug-only report: analysis problems, mismatches
+    const elQuizStatus = root.querySelector(".hv-quiz-status"); // quiz progress / final score
+    const elAnalysisStatus = root.querySelector(".hv-analysis-status"); // analysis=auto: notice + export
+    const elAnalysisStatusText = root.querySelector(".hv-analysis-status-text");
+    const elExportControls = root.querySelector(".hv-export-controls"); // export=yes / edit=yes
+    const elEditor = root.querySelector(".hv-editor"); // edit=yes
+    const elEditorStep = root.querySelector(".hv-editor-step");
+    const elEditorStatus = root.querySelector(".hv-editor-status");
+    const elEditorNotice = root.querySelector(".hv-editor-notice"); // a saved draft replaces the analysis as loaded
+
+    if (TITLE && elTitle) {
+      elTitle.textContent = TITLE;
+      elTitle.hidden = false;
+    }
+    if (DEBUG) {
+      if (elDebugControls) elDebugControls.hidden = false;
+      if (elZoomIndicator) elZoomIndicator.hidden = false;
+    }
+    root.classList.add("harmony-viewer", `layout-${LAYOUT}`);
+    const addedTabIndex = !PAGE && KEYS_ENABLED && !root.hasAttribute("tabindex");
+    if (addedTabIndex) root.tabIndex = 0; // keys go to the focused viewer
+
+    // ---------------------------
+    // State
+    // ---------------------------
+    let vrvToolkit = null;
+
+    // harmonicSteps: Array< Array<noteGroupIdString> >
+    // stepInfo[stepIndex-1] = { qstamp, tstamp, measureId, measureN, onIds, heldIds, reason }
+    let harmonicSteps = [];
+    let stepInfo = [];
+    let highlightedStep = 0;
+
+    // analysis JSON: { title, steps:[ { stufe, function, ... }, ... ] }
+    let analysis = null;
+    let analysisSource = null; // "json" (file / inline) | "score" (labels in the score) | "auto" (analysis=auto) | "edit" (editor draft) | null
+    let globalAnalysisBaselineY = null; // label baseline Y relative to #viewer, measured again on every re-layout
+    let labelMode = LABEL_MODES.includes(labelsParamRaw) ? labelsParamRaw : "current";
+    let handoutMode = null; // null | "labels" | "blank" (handout=..., printHandout)
+    let blankBoxesShown = false; // overlay draws empty boxes (handout=blank, printed / exported exercises)
+    let printPending = false; // printHandout's dialog is open: handoutBeforePrint comes back afterwards
+    let handoutBeforePrint = null;
+    let colorMode = "step"; // resolved once the analysis is loaded (see resolveColorMode)
+
+    // analysisSpans: [{ entryIndex, startStep, endStep }] — which analysis entry labels which steps
+    let analysisSpans = [];
+
+    // wrapped layouts: pages / systems
+    // stepPages[stepIndex-1] = page number holding the step (layout=pages)
+    // systemBaselines: system id -> label baseline Y, relative to #viewer
+    let pageCount = 1;
+    let currentPage = 1;
+    let stepPages = [];
+    let systemBaselines = new Map();
+    let laidOutFor = ""; // "pageWidth x pageHeight" Verovio last laid the systems out for
+    let lineScale = BASE_SCALE; // layout=line: the Verovio scale the system is rendered at
+    let allPagesShown = false; // layout=pages: every page stacked for a handout / export (see showAllPages)
+
+    // re-layout on resize (see "Re-layout on resize")
+    let relayoutTimer = null;
+    let observedWidth = null;
+
+
+    // activation gating (important for embeds, and for several viewers on one page!)
+    // standalone: active unless another viewer on the page already is (see midiHub)
+    let isActiveViewer = !IS_EMBEDDED && !Array.from(midiHub.viewers).some((v) => v.isActive());
+    let currentSlideIndex = 0;
+
+    // lifecycle: newest load wins (load() while loading), listeners to remove on destroy()
+    let loadToken = 0;
+    let destroyed = false;
+    const cleanups = [];
+
+    // host messaging: origin of the host that said "hello", score loaded, last reported height
+    let hostOrigin = null;
+    let viewerReady = false;
+    let reportedHeight = 0;
+
+    // MIDI
+    let midiAccess = null;
+    let midiIn = null;
+    let midiOut = null;
+    let midiMap = { in: {}, out: {} }; // action/message -> { cc | nrpn, channel, resolution } (see resolveMidiMap)
+    let midiCcMsb = new Map(); // "channel:cc" -> last MSB of a 14-bit pair
+    let midiNrpn = new Map(); // channel -> { param, msb } (NRPN selected by CC99/CC98, data CC6/CC38)
+    let midiNotesOn = new Map(); // "channel:pitch" -> { channel, pitch, token } (note-on sent, note-off pending)
+    let midiNoteToken = 0;
+    let midiNoteTimers = new Set(); // pending arpeggio note-ons / retrigger note-offs
+
+    // transport (follow=...): position in MIDI clocks, running, recent clock times (ms) -> DAW tempo
+    let transportClocks = 0;
+    let transportRunning = false;
+    let transportClockTimes = [];
+    let transportTempo = 120;
+
+    // quiz: keys held right now, whether this attempt was judged, stepIndex -> { attempts, solved, firstTry },
+    // whether the session is over (the score stays up until the next load)
+    let quizHeld = new Set();
+    let quizJudged = false;
+    let quizResults = new Map();
+    let quizFinished = false;
+
+    // group->pitches cache (computed from Verovio)
+    // stepPitches[stepIndex-1] = [midiPitch,...]   (sounding, tied continuations excluded)
+    // stepPitchNames[stepIndex-1] = ["F#4",...]    (spelled, same order as stepPitches)
+    // stepNotes[stepIndex-1] = [{ id, midi, name, staff, tied, held },...]
+    let stepPitches = [];
+    let stepPitchNames = [];
+    let stepNotes = [];
+
+    // noteId -> { midi, name, staff, tied, grace } (parsed once per load from Verovio's MEI)
+    // measureId -> meter unit (4 = quarter beats, 8 = eighth beats...)
+    // scoreHarms: MEI <harm> in document order (labels embedded in MEI / Humdrum scores)
+    // scoreKey: the first key signature as shown (transposed), { fifths, mode } (analysis=auto)
+    let noteInfoById = new Map();
+    let meterUnitByMeasureId = new Map();
+    let scoreHarms = [];
+    let scoreKey = null;
+
+    // Transposition (see "Transposition"):
+    //   loadedScore: the fetched { text, format }, reloaded for a new transposition without fetching
+    //   transposition: the one asked for (transpose=, CC21, command); renderedTransposition: the one on screen
+    //   writtenKey: the first key signature as written; transposeFifths: how far the transposition moved it
+    let loadedScore = null;
+    let transposition = TRANSPOSE_PARAM || "";
+    let renderedTransposition = "";
+    let writtenKey = null;
+    let transposeFifths = 0;
+    let transposeRun = null; // re-render in progress (Promise)
+
+    // measure number -> { qstamp, measureId } of its first occurrence in the timemap
+    // noteId -> { on, off } in quarter notes (playback note lengths); scoreEndQ = last note-off
+    // noteOnsets: onset (see onsetKey) -> noteIds starting there, for following ties
+    let measureStarts = new Map();
+    let noteTimes = new Map();
+    let noteOnsets = new Map();
+    let scoreEndQ = 0;
+    let scoreTempo = 120; // first tempo in the timemap
+
+    // Web Audio synth + playback
+    let audioCtx = null;
+    let audioOut = null; // master gain
+    let audioVoices = new Set(); // { osc, gain } still sounding
+    let audioBlockedReported = false; // "suspended" reported once until the context runs
+    let playbackTempo = 120;
+    let playbackTimer = null;
+    let playing = false;
+    let playbackStepAt = 0; // performance.now() when the pending step timer was set
+    let playbackStepDoneQ = 0; // quarters of the current step already played before that (tempo changes)
+
+    // ---------------------------
+    // Utilities
+    // ---------------------------
+    function clampInt(n, lo, hi) {
+      n = Number(n);
+      if (!Number.isFinite(n)) return lo;
+      return Math.max(lo, Math.min(hi, Math.trunc(n)));
+    }
+
+    function cssEscape(id) {
+      // Minimal escape for querySelector
+      return (window.CSS && CSS.escape) ? CSS.escape(id) : id.replace(/([ #;?%&,.+*~\':"!^$[\]()=>|/@])/g, "\\$1");
+    }
 
-    const hintNorm = normalizePortName(hint);
+    function log(...a) {
+      if (DEBUG) console.log(...a);
+    }
 
-    // 1) direct normalized substring match
-    let p = ports.find((x) => normalizePortName(x.name).includes(hintNorm));
-    if (p) return p;
+    function warn(...a) {
+      console.warn(...a);
+    }
 
-    // 2) arrow-insensitive heuristic: look for browser/max keywords
-    const hn = hintNorm;
-    const wantsBrowser = hn.includes("browser");
-    const wantsMax = hn.includes("max");
-    if (wantsBrowser || wantsMax) {
-      p = ports.find((x) => {
-        const n = normalizePortName(x.name);
-        return (!wantsBrowser || n.includes("browser")) && (!wantsMax || n.includes("max"));
-      });
-      if (p) return p;
+    function listen(target, type, handler) {
+      // addEventListener, undone by destroy()
+      target.addEventListener(type, handler);
+      cleanups.push(() => target.removeEventListener(type, handler));
     }
 
-    // 3) fallback: first available
-    return ports[0];
-  }
+    function debugReport(msg) {
+      // Problems a teacher should see while preparing material (debug=yes), not only in the console.
+      // Diagnostics, not errors: hosts get them as "report" events, and only with debug=yes
+      warn(msg);
+      if (!DEBUG) return;
+      emit("report", { message: msg });
+      if (!elDebugLog) return;
+      const li = document.createElement("li");
+      li.textContent = msg;
+      elDebugLog.appendChild(li);
+      elDebugLog.hidden = false;
+    }
 
-  // ---------------------------
-  // Height reporting to Reveal wrapper
-  // ---------------------------
-  function notifyParentOfHeight() {
-    if (!IS_EMBEDDED) return;
-    if (!elViewer) return;
+    function parseAllowedOrigins(raw) {
+      const list = String(raw || "")
+        .split(",")
+        .map((o) => o.trim().replace(/\/+$/, ""))
+        .filter(Boolean);
+      if (list.length) return list;
+      // file:// has no origin to compare with
+      return [window.location.origin === "null" ? "*" : window.location.origin];
+    }
 
-    const height = elViewer.offsetHeight;
-    window.parent.postMessage({ type: "viewer-height", height }, "*");
-  }
+    function normalizePortName(s) {
+      return String(s || "")
+        .toLowerCase()
+        .replace(/[→➔⇒]/g, "->")
+        .replace(/[–—]/g, "-")
+        .replace(/\s+/g, "")
+        .replace(/[^a-z0-9<>\-_.]/g, "");
+    }
 
-  // ---------------------------
-  // Verovio render + fit
-  // ---------------------------
-  function ensureToolkit() {
-    if (vrvToolkit) return vrvToolkit;
-
-    // Verovio is expected to be global from ./js/verovio-toolkit.js
-    if (typeof verovio === "undefined" || !verovio.toolkit) {
-      throw new Error("Verovio toolkit not found. Make sure verovio-toolkit.js is loaded.");
-    }
-    vrvToolkit = new verovio.toolkit();
-
-    // Keep options conservative (your build complained about unsupported options before)
-    vrvToolkit.setOptions({
-      scale: 40,          // will be overridden by fit/manual zoom logic
-      pageWidth: 2000,     // large canvas, then we fit by CSS transform
-      pageHeight: 2000,
-      adjustPageHeight: true,
-      breaks: "none",
-      header: "none",
-      footer: "none",
-      // DO NOT use ignoreLayout/addMidiData/svgAdditionalAttributes etc (unsupported in your build)
-    });
-
-    return vrvToolkit;
-  }
+    function pickMidiPort(mapLike, hint) {
+      const ports = Array.from(mapLike.values());
+      if (ports.length === 0) return null;
 
-  function applySvgFitToContainer() {
-    const svgEl = elScore.querySelector("svg");
-    if (!svgEl) return;
-
-    // make SVG behave like a measurable block
-    svgEl.style.display = "block";
-    svgEl.style.transformOrigin = "0 0";
-
-    const container = elViewer; // viewer wraps score + overlay
-    const scoreBox = elScore;
-
-    const containerW = container.clientWidth || 1;
-    const containerH = container.clientHeight || 1;
-
-    // Use the SVG's viewBox / bbox
-    const vb = svgEl.viewBox && svgEl.viewBox.baseVal ? svgEl.viewBox.baseVal : null;
-    let svgW = vb ? vb.width : (svgEl.getBBox ? svgEl.getBBox().width : svgEl.clientWidth);
-    let svgH = vb ? vb.height : (svgEl.getBBox ? svgEl.getBBox().height : svgEl.clientHeight);
-    if (!svgW || !svgH) {
-      // fallback to bounding client rect
-      const r = svgEl.getBoundingClientRect();
-      svgW = r.width || 1;
-      svgH = r.height || 1;
-    }
-
-    // Fit-to-width default (and keep within height as much as possible)
-    let scale = 1;
-    if (ZOOM_MODE === "manual" && MANUAL_ZOOM) {
-      scale = MANUAL_ZOOM;
-    } else {
-      scale = containerW / svgW;
-      // If it becomes too tall, soften by height
-      const scaledH = svgH * scale;
-      if (scaledH > containerH && containerH > 0) {
-        scale = Math.min(scale, containerH / svgH);
+      const hintNorm = normalizePortName(hint);
+
+      // 1) direct normalized substring match
+      let p = ports.find((x) => normalizePortName(x.name).includes(hintNorm));
+      if (p) return p;
+
+      // 2) arrow-insensitive heuristic: look for browser/max keywords
+      const hn = hintNorm;
+      const wantsBrowser = hn.includes("browser");
+      const wantsMax = hn.includes("max");
+      if (wantsBrowser || wantsMax) {
+        p = ports.find((x) => {
+          const n = normalizePortName(x.name);
+          return (!wantsBrowser || n.includes("browser")) && (!wantsMax || n.includes("max"));
+        });
+        if (p) return p;
       }
+
+      // 3) fallback: first available
+      return ports[0];
+    }
+
+    // ---------------------------
+    // Height reporting to the host (Reveal plugin resizes iframe + slide)
+    // ---------------------------
+    function notifyParentOfHeight() {
+      if (!IS_EMBEDDED) return;
+      if (!elViewer) return;
+
+      const height = elViewer.offsetHeight;
+      if (height === reportedHeight) return;
+      reportedHeight = height;
+      postToHost("resize", { height });
     }
 
-    // Center horizontally if smaller than container after scaling
-    const scaledW = svgW * scale;
-    const scaledH = svgH * scale;
+    // ---------------------------
+    // Verovio render + fit
+    // ---------------------------
+    function ensureToolkit() {
+      if (vrvToolkit) return vrvToolkit;
 
-    const left = Math.max(0, (containerW - scaledW) / 2);
-    const top = 0; // keep top aligned (important for embeds)
+      // Verovio is expected to be global from ./js/verovio-toolkit.js
+      if (typeof verovio === "undefined" || !verovio.toolkit) {
+        throw new Error("Verovio toolkit not found. Make sure verovio-toolkit.js is loaded.");
+      }
+      vrvToolkit = new verovio.toolkit();
+
+      // Keep options conservative (your build complained about unsupported options before)
+      vrvToolkit.setOptions({
+        scale: BASE_SCALE,  // layout=line: re-rendered at the viewer width (see fitLineLayout)
+        pageWidth: 2000,     // large canvas (breaks: none, the system keeps its own width)
+        pageHeight: 2000,
+        adjustPageHeight: true,
+        breaks: "none",
+        header: "none",
+        footer: "none",
+        // DO NOT use ignoreLayout/addMidiData/svgAdditionalAttributes etc (unsupported in your build)
+      });
 
-    svgEl.style.transform = `translate(${left}px, ${top}px) scale(${scale})`;
+      return vrvToolkit;
+    }
 
-    // keep scoreBox height big enough so overlay positions can use offsets
-    scoreBox.style.minHeight = `${scaledH}px`;
+    function wrappedLayoutOptions() {
+      // Page = viewer width (and, for layout=pages, the visible height) in Verovio units
+      const scale = Math.round(BASE_SCALE * (MANUAL_ZOOM || 1));
+      const widthPx = elViewer.clientWidth || window.innerWidth;
+      const heightPx = Math.max(200, window.innerHeight - Math.max(0, elViewer.getBoundingClientRect().top));
+
+      return {
+        scale,
+        pageWidth: Math.round((widthPx * 100) / scale),
+        pageHeight: LAYOUT === "pages" ? Math.round((heightPx * 100) / scale) : 60000,
+        adjustPageHeight: true,
+        breaks: "auto",
+        spacingSystem: WRAPPED_SYSTEM_SPACING,
+      };
+    }
 
-    if (DEBUG && elZoomIndicator) {
-      elZoomIndicator.textContent = `zoom=${scale.toFixed(3)} (${ZOOM_MODE}${ZOOM_MODE === "manual" ? `:${MANUAL_ZOOM}` : ""})`;
-      elZoomIndicator.hidden = false;
+    function wrappedLayoutKey(opts) {
+      return `${opts.pageWidth}x${opts.pageHeight}`;
     }
-  }
 
-  // ---------------------------
-  // Harmonic step detection (group noteheads into chords)
-  // ---------------------------
-  function buildHarmonicStepsFromSvg() {
-    const svgEl = elScore.querySelector("svg");
-    if (!svgEl) return [];
+    function setWrappedLayout(tk) {
+      // -> true if the page size changed (the score needs a new layout)
+      const opts = wrappedLayoutOptions();
+      if (wrappedLayoutKey(opts) === laidOutFor) return false;
+      tk.setOptions(opts);
+      laidOutFor = wrappedLayoutKey(opts);
+      return true;
+    }
 
-    // Heuristic:
-    // Verovio outputs <g class="note" id="..."> ... <g class="notehead"> ...
-    // If multiple notes belong to a chord at the same time position, they tend to appear adjacent.
-    // We'll group by x position (rounded) of the notehead.
-    const noteGroups = Array.from(svgEl.querySelectorAll("g.note[id]"));
+    function renderScore() {
+      pageCount = typeof vrvToolkit.getPageCount === "function" ? Math.max(1, vrvToolkit.getPageCount()) : 1;
 
-    // Extract X coordinate from first child <use> in notehead (best available stable geometry in your SVG)
-    const entries = [];
-    for (const g of noteGroups) {
-      const id = g.getAttribute("id");
-      const use = g.querySelector("g.notehead use");
-      if (!use) continue;
+      if (LAYOUT === "scroll" || allPagesShown) {
+        const pages = [];
+        for (let p = 1; p <= pageCount; p++) {
+          pages.push(`<div class="score-page" data-page="${p}">${vrvToolkit.renderToSVG(p)}</div>`);
+        }
+        elScore.innerHTML = pages.join("");
+        return;
+      }
 
-      const tr = use.getAttribute("transform") || "";
-      // transform="translate(2568, 1440) scale(0.72,0.72)"
-      const m = tr.match(/translate\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)/);
-      const x = m ? Number(m[1]) : NaN;
-      if (!Number.isFinite(x)) continue;
+      currentPage = clampInt(currentPage, 1, pageCount);
+      elScore.innerHTML = vrvToolkit.renderToSVG(currentPage);
+    }
 
-      entries.push({ id, x });
+    function showAllPages(all) {
+      // layout=pages: every page stacked (handouts, exports) or back to the current one
+      if (LAYOUT !== "pages" || allPagesShown === all) return;
+      allPagesShown = all;
+      renderScore();
+      applySvgFitToContainer();
+      systemBaselines = computeSystemBaselines();
     }
 
-    // sort left to right
-    entries.sort((a, b) => a.x - b.x);
+    function showPage(page) {
+      currentPage = clampInt(page, 1, pageCount);
+      renderScore();
+      applySvgFitToContainer();
+      systemBaselines = computeSystemBaselines();
+      log(`[layout] page ${currentPage}/${pageCount}`);
+    }
 
-    // group by rounded x bucket
-    const buckets = new Map(); // bucketX -> [ids]
-    const BUCKET = 3; // px-ish in Verovio units (tweakable)
-    for (const e of entries) {
-      const k = Math.round(e.x / BUCKET);
-      if (!buckets.has(k)) buckets.set(k, []);
-      buckets.get(k).push(e.id);
+    function computeStepPages() {
+      if (LAYOUT !== "pages" || typeof vrvToolkit.getPageWithElement !== "function") return [];
+      return harmonicSteps.map((ids) => (ids.length ? vrvToolkit.getPageWithElement(ids[0]) || 0 : 0));
     }
 
-    const steps = Array.from(buckets.entries())
-      .sort((a, b) => a[0] - b[0])
-      .map(([, ids]) => ids);
+    function followStep(stepIndex) {
+      // Bring the step into view: turn the page (layout=pages) or scroll its system (layout=scroll)
+      if (!IS_WRAPPED || stepIndex <= 0) return;
 
-    return steps;
-  }
+      if (LAYOUT === "pages") {
+        const page = stepPages[stepIndex - 1];
+        if (page && page !== currentPage) showPage(page);
+        return;
+      }
 
-  // ---------------------------
-  // Analysis JSON
-  // ---------------------------
-  function inferJsonUrlFromScoreUrl(scoreUrl) {
-    // /scores/demo.musicxml -> /scores/demo.json
-    try {
-      const u = new URL(scoreUrl, window.location.href);
-      const path = u.pathname;
-      const jsonPath = path.replace(/\.[^/.]+$/, ".json");
-      u.pathname = jsonPath;
-      u.search = "";
-      u.hash = "";
-      return u.toString();
-    } catch {
-      return scoreUrl.replace(/\.[^/.]+$/, ".json");
+      const ids = harmonicSteps[stepIndex - 1] || [];
+      const g = ids.length ? elScore.querySelector(`#${cssEscape(ids[0])}`) : null;
+      const target = g ? g.closest("g.system") || g : null;
+      if (target && target.scrollIntoView) {
+        target.scrollIntoView({ block: "center", behavior: "smooth" });
+      }
     }
-  }
 
-  async function loadAnalysisIfPresent(scoreUrl) {
-    const jsonUrl = inferJsonUrlFromScoreUrl(scoreUrl);
-    try {
-      const r = await fetch(jsonUrl, { cache: "no-store" });
-      if (!r.ok) return null;
-      const j = await r.json();
-      if (DEBUG) console.log("Loaded analysis JSON:", j);
-      return j;
-    } catch {
-      return null;
+    // ---------------------------
+    // Re-layout on resize (window, container width, Reveal scaling), debounced:
+    //   layout=pages / scroll  Verovio re-flows the systems at the new width (and page height)
+    //   layout=line            Verovio renders the one system at the scale that fits the new width
+    // Then the label baselines are measured again and the visible labels re-placed.
+    // ---------------------------
+    const RELAYOUT_DELAY_MS = 150;
+
+    function scheduleRelayout() {
+      window.clearTimeout(relayoutTimer);
+      relayoutTimer = window.setTimeout(relayout, RELAYOUT_DELAY_MS);
     }
-  }
 
-  
-  function updateAnalysisOverlay(stepIndex) {
-    if (!elOverlay || !elStufe || !elFunc) return;
+    function relayout() {
+      relayoutTimer = null;
+      if (destroyed || !viewerReady) return; // a load in progress lays out (and catches up) itself
+
+      if (IS_WRAPPED && setWrappedLayout(vrvToolkit)) {
+        vrvToolkit.redoLayout();
+        stepPages = computeStepPages();
+        if (LAYOUT === "pages" && stepPages[highlightedStep - 1]) currentPage = stepPages[highlightedStep - 1];
+        renderScore();
+        log(`[layout] re-flowed for ${laidOutFor} (Verovio units): ${pageCount} page(s)`);
+      } else if (!IS_WRAPPED && fitLineLayout()) {
+        log(`[layout] line re-rendered at scale ${lineScale}`);
+      }
 
-    if (!analysis || !analysis.steps || stepIndex <= 0) {
-      elOverlay.hidden = true;
-      return;
+      applySvgFitToContainer();
+      globalAnalysisBaselineY = computeGlobalAnalysisBaselineY();
+      systemBaselines = computeSystemBaselines();
+      applySvgHighlight(highlightedStep);
+      updateAnalysisOverlay(highlightedStep);
+      notifyParentOfHeight();
     }
 
-    const step = analysis.steps[stepIndex - 1];
-    if (!step) {
-      elOverlay.hidden = true;
-      return;
+    function fitLineLayout() {
+      // layout=line: render the one system at the Verovio scale that makes it as wide as the viewer
+      // (zoom=0.85: that share of the base scale) -> true if it was rendered again
+      if (IS_WRAPPED) return false;
+      const svgEl = elScore.querySelector("svg");
+      const svgW = svgEl ? parseFloat(svgEl.getAttribute("width")) : 0;
+      const containerW = elViewer.clientWidth;
+      if (!svgW || !containerW) return false;
+
+      const target = ZOOM_MODE === "manual" && MANUAL_ZOOM ? BASE_SCALE * MANUAL_ZOOM : (lineScale * containerW) / svgW;
+      const scale = clampInt(Math.round(target), 1, 1000);
+      if (scale === lineScale) return false;
+
+      vrvToolkit.setOptions({ scale });
+      lineScale = scale;
+      renderScore();
+      return true;
     }
 
-    elStufe.textContent = step.stufe || "";
-    elFunc.textContent = step.function || "";
+    function applySvgFitToContainer() {
+      const svgEl = elScore.querySelector("svg");
+      if (!svgEl) return;
+
+      if (IS_WRAPPED) {
+        // Verovio already laid the pages out at the viewer width: no CSS scaling
+        for (const s of elScore.querySelectorAll("svg")) {
+          s.style.display = "block";
+          s.style.transform = "none";
+        }
+        elScore.style.minHeight = "";
+
+        if (DEBUG && elZoomIndicator) {
+          elZoomIndicator.textContent = `scale=${Math.round(BASE_SCALE * (MANUAL_ZOOM || 1))} (${LAYOUT}) page ${currentPage}/${pageCount}`;
+          elZoomIndicator.hidden = false;
+        }
+        return;
+      }
+
+      // make SVG behave like a measurable block
+      svgEl.style.display = "block";
+      svgEl.style.transformOrigin = "0 0";
+
+      const container = elViewer; // viewer wraps score + overlay
+      const scoreBox = elScore;
+
+      const containerW = container.clientWidth || 1;
+      const containerH = container.clientHeight || 1;
+
+      // Use the SVG's viewBox / bbox
+      const vb = svgEl.viewBox && svgEl.viewBox.baseVal ? svgEl.viewBox.baseVal : null;
+      let svgW = vb ? vb.width : (svgEl.getBBox ? svgEl.getBBox().width : svgEl.clientWidth);
+      let svgH = vb ? vb.height : (svgEl.getBBox ? svgEl.getBBox().height : svgEl.clientHeight);
+      if (!svgW || !svgH) {
+        // fallback to bounding client rect
+        const r = svgEl.getBoundingClientRect();
+        svgW = r.width || 1;
+        svgH = r.height || 1;
+      }
+
+      // Fit-to-width default (and keep within height as much as possible)
+      // Verovio already rendered at (about) the right size (fitLineLayout): this only takes up the rounding
+      let scale = 1;
+      if (ZOOM_MODE === "manual" && MANUAL_ZOOM) {
+        scale = (MANUAL_ZOOM * BASE_SCALE) / lineScale;
+      } else {
+        scale = containerW / svgW;
+        // If it becomes too tall, soften by height
+        const scaledH = svgH * scale;
+        if (scaledH > containerH && containerH > 0) {
+          scale = Math.min(scale, containerH / svgH);
+        }
+      }
+
+      // Center horizontally if smaller than container after scaling
+      const scaledW = svgW * scale;
+      const scaledH = svgH * scale;
+
+      const left = Math.max(0, (containerW - scaledW) / 2);
+      const top = 0; // keep top aligned (important for embeds)
 
-    const svg = elScore.querySelector("svg");
-    const viewerRect = elViewer.getBoundingClientRect();
+      svgEl.style.transform = `translate(${left}px, ${top}px) scale(${scale})`;
 
-    const ids = harmonicSteps[stepIndex - 1] || [];
-    const rects = [];
+      // keep scoreBox height big enough so overlay positions can use offsets
+      scoreBox.style.minHeight = `${scaledH}px`;
+
+      if (DEBUG && elZoomIndicator) {
+        elZoomIndicator.textContent = `zoom=${scale.toFixed(3)} (${ZOOM_MODE}${ZOOM_MODE === "manual" ? `:${MANUAL_ZOOM}` : ""})`;
+        elZoomIndicator.hidden = false;
+      }
+    }
 
-    for (const id of ids) {
-      const g = svg.querySelector(`#${cssEscape(id)}`);
-      if (!g) continue;
-      rects.push(g.getBoundingClientRect());
+    // ---------------------------
+    // Harmonic step detection (group notes by musical time)
+    // Primary source: Verovio's timemap (onsets/offsets across all staves and layers).
+    // Fallbacks: onset/duration per note (getMIDIValuesForElement), then notehead x-positions.
+    // ---------------------------
+    function isGraceNote(id) {
+      const info = noteInfoById.get(id);
+      if (info) return !!info.grace;
+      try {
+        const attr = vrvToolkit.getElementAttr(id);
+        return !!(attr && attr.grace);
+      } catch {
+        return false;
+      }
     }
 
-    if (!rects.length) {
-      elOverlay.hidden = true;
-      return;
+    function isTiedContinuation(id) {
+      const info = noteInfoById.get(id);
+      return !!(info && info.tied);
     }
 
-    // Horizontal center of the chord
-    const cx =
-      rects.reduce((s, r) => s + (r.left + r.right) / 2, 0) / rects.length;
+    function measureNumber(measureId) {
+      if (!measureId) return null;
+      try {
+        const attr = vrvToolkit.getElementAttr(measureId);
+        return attr && attr.n ? attr.n : null;
+      } catch {
+        return null;
+      }
+    }
 
-    // Use your global baseline Y (already computed elsewhere)
-    if (!globalAnalysisBaselineY) {
-      elOverlay.hidden = true;
-      return;
+    function getTimemap() {
+      if (typeof vrvToolkit.renderToTimemap === "function") {
+        try {
+          let tm = vrvToolkit.renderToTimemap({ includeMeasures: true, includeRests: true });
+          if (typeof tm === "string") tm = JSON.parse(tm); // older builds return a JSON string
+          if (Array.isArray(tm) && tm.length) return tm;
+        } catch (e) {
+          log("[steps] renderToTimemap failed, trying note times:", e);
+        }
+      }
+      return buildTimemapFromNoteTimes();
     }
 
-    const baselineY = globalAnalysisBaselineY;
+    function buildTimemapFromNoteTimes() {
+      // Same shape as Verovio's timemap: [{ tstamp, on:[ids], off:[ids] }, ...] sorted by time
+      if (typeof vrvToolkit.getMIDIValuesForElement !== "function") return [];
 
+      const ids = noteInfoById.size
+        ? Array.from(noteInfoById.keys())
+        : Array.from(elScore.querySelectorAll("g.note[id]")).map((g) => g.getAttribute("id"));
 
-    // Convert screen → viewer coordinates
-    const left = cx - viewerRect.left;
-    const top = baselineY - viewerRect.top + 6;
+      const events = new Map(); // tstamp -> { tstamp, on, off }
+      const at = (t) => {
+        if (!events.has(t)) events.set(t, { tstamp: t, on: [], off: [] });
+        return events.get(t);
+      };
 
-    elOverlay.style.left = `${left}px`;
-    elOverlay.style.top = `${top}px`;
+      for (const id of ids) {
+        try {
+          const v = vrvToolkit.getMIDIValuesForElement(id);
+          if (!v || !Number.isFinite(v.time)) continue;
+          at(v.time).on.push(id);
+          if (Number.isFinite(v.duration)) at(v.time + v.duration).off.push(id);
+        } catch {
+          // not a timed element
+        }
+      }
 
-    // ✅ Stack function below Stufe
-    elStufe.style.left = "0px";
-    elStufe.style.top = "0px";
+      return Array.from(events.values()).sort((a, b) => a.tstamp - b.tstamp);
+    }
 
-    elFunc.style.left = "0px";
-    elFunc.style.top = `${FUNCTION_OFFSET_Y}px`;
+    function buildHarmonicStepsFromTimemap(timemap) {
+      const steps = [];
+      const info = [];
+      const sounding = new Set(); // note ids started and not yet ended
+      const measures = new Map(); // measure n -> { qstamp, measureId }
+      const times = new Map(); // note id -> { on, off } in quarter notes
+      let tempo = null;
+      let measureId = null;
+      let pendingGrace = null; // grace=merge: { ids, qstamp } waiting for the next main onset
+
+      function pushStep(ids, held, ev, reason) {
+        const heldIds = STEP_HELD ? held.filter((id) => !ids.includes(id)) : [];
+        steps.push(ids.concat(heldIds));
+        info.push({
+          qstamp: Number.isFinite(ev.qstamp) ? ev.qstamp : null,
+          tstamp: Number.isFinite(ev.tstamp) ? ev.tstamp : null,
+          measureId,
+          measureN: measureNumber(measureId),
+          onIds: ids,
+          heldIds,
+          reason: heldIds.length ? `${reason}, +${heldIds.length} held` : reason,
+        });
+      }
 
-    elOverlay.hidden = false;
+      for (const ev of timemap) {
+        if (ev.measureOn) {
+          measureId = ev.measureOn;
+          const n = measureNumber(measureId);
+          if (n !== null && !measures.has(String(n))) measures.set(String(n), { qstamp: ev.qstamp, measureId });
+        }
+        const q = eventQuarters(ev);
+        if (tempo === null && Number.isFinite(ev.tempo)) tempo = ev.tempo;
+        for (const id of ev.off || []) {
+          sounding.delete(id);
+          if (times.has(id)) times.get(id).off = q;
+        }
 
-  }
+        const held = Array.from(sounding);
+        const on = ev.on || [];
+        for (const id of on) {
+          sounding.add(id);
+          times.set(id, { on: q, off: q });
+        }
 
-  function computeGlobalAnalysisBaselineY() {
-    const svg = elScore.querySelector("svg");
-    if (!svg) return null;
+        const where = `q=${ev.qstamp ?? "?"} t=${ev.tstamp}ms`;
+        const grace = on.filter(isGraceNote);
+        const main = on.filter((id) => !isGraceNote(id));
+
+        if (grace.length) {
+          if (STEP_GRACE === "separate") {
+            pushStep(grace, held, ev, `${where}: ${grace.length} grace note(s)`);
+          } else if (STEP_GRACE === "merge") {
+            pendingGrace = { ids: (pendingGrace ? pendingGrace.ids : []).concat(grace), qstamp: ev.qstamp };
+          } else {
+            log(`[steps] ${where}: skipped ${grace.length} grace note(s) (grace=skip)`);
+          }
+        }
 
-    const noteheads = svg.querySelectorAll(".notehead, g.note");
-    let maxBottom = -Infinity;
+        if (main.length) {
+          if (main.every(isTiedContinuation) && !pendingGrace) {
+            log(`[steps] ${where}: no step, only tied continuations`);
+            continue;
+          }
+
+          let reason = `${where}: ${main.length} onset(s)`;
+          let ids = main;
+          if (pendingGrace) {
+            ids = pendingGrace.ids.concat(main);
+            reason += `, ${pendingGrace.ids.length} grace note(s) merged from q=${pendingGrace.qstamp ?? "?"}`;
+            pendingGrace = null;
+          }
+          pushStep(ids, held, ev, reason);
+          continue;
+        }
 
-    for (const nh of noteheads) {
-      const rect = nh.getBoundingClientRect();
-      if (rect.bottom > maxBottom) {
-        maxBottom = rect.bottom;
+        const rests = ev.restsOn || [];
+        if (!grace.length && rests.length) {
+          if (STEP_RESTS === "keep") {
+            pushStep(rests, held, ev, `${where}: rest onset (rests=keep)`);
+          } else {
+            log(`[steps] ${where}: skipped rest onset`);
+          }
+        }
       }
+
+      return { steps, info, measures, times, tempo };
     }
 
-    if (!isFinite(maxBottom)) return null;
+    function eventQuarters(ev) {
+      // Note-times fallback has no qstamp: ms at 120 quarters per minute
+      return Number.isFinite(ev.qstamp) ? ev.qstamp : (Number(ev.tstamp) || 0) / 500;
+    }
 
-    // Padding below the lowest notehead (adjust if needed)
-    return maxBottom + 10;
-  }
+    function buildHarmonicStepsFromSvg() {
+      // Last resort (no timing data in this build): group by notehead x-position
+      const svgEl = elScore.querySelector("svg");
+      if (!svgEl) return [];
 
+      // Verovio outputs <g class="note" id="..."> ... <g class="notehead"> ...
+      const noteGroups = Array.from(svgEl.querySelectorAll("g.note[id]"));
 
+      // Extract X coordinate from first child <use> in notehead (best available stable geometry in your SVG)
+      const entries = [];
+      for (const g of noteGroups) {
+        const id = g.getAttribute("id");
+        const use = g.querySelector("g.notehead use");
+        if (!use) continue;
 
-  // ---------------------------
-  // SVG highlight (CSS class on note groups)
-  // ---------------------------
-  function applySvgHighlight(stepIndex) {
-    const svgEl = elScore.querySelector("svg");
-    if (!svgEl) return;
+        const tr = use.getAttribute("transform") || "";
+        // transform="translate(2568, 1440) scale(0.72,0.72)"
+        const m = tr.match(/translate\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)/);
+        const x = m ? Number(m[1]) : NaN;
+        if (!Number.isFinite(x)) continue;
 
-    svgEl.querySelectorAll(".hv-highlight").forEach((n) => n.classList.remove("hv-highlight"));
-    if (stepIndex <= 0) return;
+        entries.push({ id, x });
+      }
 
-    const ids = harmonicSteps[stepIndex - 1] || [];
-    for (const id of ids) {
-      const g = svgEl.querySelector(`#${cssEscape(id)}`);
-      if (g) g.classList.add("hv-highlight");
-    }
-  }
+      // sort left to right
+      entries.sort((a, b) => a.x - b.x);
 
-  function highlightStep(stepIndex) {
-    highlightedStep = clampInt(stepIndex, 0, harmonicSteps.length);
-    if (DEBUG) console.log("[highlightStep]", highlightedStep);
+      // group by rounded x bucket
+      const buckets = new Map(); // bucketX -> [ids]
+      const BUCKET = 3; // px-ish in Verovio units (tweakable)
+      for (const e of entries) {
+        const k = Math.round(e.x / BUCKET);
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(e.id);
+      }
 
-    applySvgHighlight(highlightedStep);
-    updateAnalysisOverlay(highlightedStep);
+      const steps = Array.from(buckets.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([, ids]) => ids);
 
-    // Only the ACTIVE viewer sends notes
-    if (isActiveViewer && highlightedStep > 0) {
-      sendStepNotesAsMidi(highlightedStep);
-    } else {
-      sendAllNotesOff();
+      return steps;
     }
 
-    notifyParentOfHeight();
-  }
+    function buildHarmonicSteps() {
+      const timemap = getTimemap();
+      let result;
+
+      if (timemap.length) {
+        result = buildHarmonicStepsFromTimemap(timemap);
+      } else {
+        warn("[steps] no timing data from Verovio, grouping noteheads by x-position");
+        const steps = buildHarmonicStepsFromSvg();
+        result = {
+          steps,
+          info: steps.map((ids) => ({
+            qstamp: null, tstamp: null, measureId: null, measureN: null,
+            onIds: ids, heldIds: [], reason: "x-position bucket (no timing data)",
+          })),
+        };
+      }
 
-  // ---------------------------
-  // Pitch computation (reliable with your Verovio build)
-  // Uses vrvToolkit.getElementAttr(noteId) -> returns object with pname/oct etc
-  // ---------------------------
-  function pnameToSemitone(pname) {
-    // pname is "c d e f g a b"
-    switch (String(pname).toLowerCase()) {
-      case "c": return 0;
-      case "d": return 2;
-      case "e": return 4;
-      case "f": return 5;
-      case "g": return 7;
-      case "a": return 9;
-      case "b": return 11;
-      default: return null;
+      stepInfo = result.info;
+      measureStarts = result.measures || new Map();
+      noteTimes = result.times || new Map();
+      noteOnsets = new Map();
+      for (const [id, t] of noteTimes) {
+        const key = onsetKey(t.on);
+        if (!noteOnsets.has(key)) noteOnsets.set(key, []);
+        noteOnsets.get(key).push(id);
+      }
+      scoreEndQ = Array.from(noteTimes.values()).reduce((end, t) => Math.max(end, t.off), 0);
+      scoreTempo = result.tempo || 120;
+      if (DEBUG) {
+        stepInfo.forEach((s, i) => {
+          console.log(`[steps] Step ${i + 1}${s.measureN ? ` (m${s.measureN})` : ""} <- ${s.reason}`, result.steps[i]);
+        });
+      }
+      return result.steps;
     }
-  }
 
-  function midiFromPnameOct(pname, oct) {
-    const semi = pnameToSemitone(pname);
-    if (semi === null) return null;
-    const o = Number(oct);
-    if (!Number.isFinite(o)) return null;
+    // ---------------------------
+    // Analysis JSON
+    // ---------------------------
+    function inferJsonUrlFromScoreUrl(scoreUrl) {
+      // /scores/demo.musicxml -> /scores/demo.json (same for .mxl, .mei, .krn, .abc...)
+      // /scores/demo -> /scores/demo.json (no extension)
+      const toJson = (path) => (/\.[^/.]+$/.test(path) ? path.replace(/\.[^/.]+$/, ".json") : `${path}.json`);
+      try {
+        const u = new URL(scoreUrl, window.location.href);
+        u.pathname = toJson(u.pathname);
+        u.search = "";
+        u.hash = "";
+        return u.toString();
+      } catch {
+        return toJson(scoreUrl.split(/[?#]/)[0]);
+      }
+    }
 
-    // MEI oct is scientific (C4 = 60)
-    // MIDI: C4 = 60 => (oct+1)*12 + semi
-    return (o + 1) * 12 + semi;
-  }
+    function decodeBase64Utf8(b64) {
+      // base64 or base64url; "+" may arrive as " " after URL decoding
+      let s = b64.trim().replace(/ /g, "+").replace(/-/g, "+").replace(/_/g, "/");
+      while (s.length % 4) s += "=";
+      const bytes = Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+      return new TextDecoder("utf-8").decode(bytes);
+    }
 
-  function computeStepPitches() {
-    if (!vrvToolkit) return;
+    function decodeInlineJson(raw) {
+      // Returns parsed JSON for inline values, undefined for anything that should be fetched
+      if (raw.startsWith("{")) return JSON.parse(raw);
+      if (/^base64:/i.test(raw)) return JSON.parse(decodeBase64Utf8(raw.slice("base64:".length)));
+      return undefined;
+    }
 
-    stepPitches = harmonicSteps.map((ids, idx) => {
-      const pitches = [];
-      for (const noteId of ids) {
-        try {
-          const attr = vrvToolkit.getElementAttr(noteId);
-          // Your build returns an object with keys: pname, oct, etc.
-          const pname = attr && (attr.pname || (attr.pitch && attr.pitch.pname) || attr["pname"]);
-          const oct = attr && (attr.oct || (attr.pitch && attr.pitch.oct) || attr["oct"]);
+    async function fetchAnalysisJson(jsonUrl, explicit) {
+      let r;
+      try {
+        r = await fetch(jsonUrl, { cache: "no-store" });
+      } catch (e) {
+        if (explicit) debugReport(`[analysis] could not fetch ${jsonUrl}: ${e.message || e}`);
+        return null;
+      }
 
-          const midi = midiFromPnameOct(pname, oct);
-          if (Number.isFinite(midi)) pitches.push(midi);
-        } catch (e) {
-          // ignore missing
-        }
+      if (!r.ok) {
+        // A missing inferred sidecar is normal; a missing explicit file is not
+        if (explicit) debugReport(`[analysis] ${jsonUrl}: HTTP ${r.status}`);
+        return null;
       }
-      // unique + sorted
-      const uniq = Array.from(new Set(pitches)).sort((a, b) => a - b);
-      if (DEBUG) console.log(`Step ${idx + 1} pitches:`, uniq);
-      return uniq;
-    });
-  }
 
-  // ---------------------------
-  // MIDI (WebMIDI)
-  // ---------------------------
-  function sendCC(cc, value, channel = 0) {
-    if (!midiOut) return;
-    const v = clampInt(value, 0, 127);
-    const status = 0xb0 | (channel & 0x0f);
-    midiOut.send([status, cc & 0x7f, v]);
-  }
+      try {
+        return await r.json();
+      } catch (e) {
+        debugReport(`[analysis] ${jsonUrl} is not valid JSON: ${e.message || e}`);
+        return null;
+      }
+    }
 
-  function sendStepCountCc() {
-    if (!isActiveViewer) return;
+    async function loadAnalysisIfPresent(scoreUrl, score) {
+      // -> { analysis, source: "json" | "score" | "auto" | null }
+      // Precedence: analysis=none > explicit analysis= (file / inline) > <score>.json sidecar > labels
+      // in the score. A JSON analysis replaces the score's labels as a whole (no merging per step).
+      const none = { analysis: null, source: null };
+      if (ANALYSIS_PARAM.toLowerCase() === "none") {
+        log("[analysis] disabled (analysis=none)");
+        return none;
+      }
+      if (ANALYSIS_PARAM.toLowerCase() === "auto") return { analysis: autoAnalysis(), source: "auto" };
 
-    const count = harmonicSteps.length;
-    sendCC(23, count);
+      const j = ANALYSIS_PARAM.toLowerCase() === "score" ? null : await loadAnalysisJson(scoreUrl);
+      if (j) return { analysis: j, source: "json" };
 
-    if (DEBUG) console.log("Sent step count (CC23):", count);
-  }
+      const fromScore = analysisFromScore(score);
+      return fromScore ? { analysis: fromScore, source: "score" } : none;
+    }
+
+    async function loadAnalysisJson(scoreUrl) {
+      let j;
+      let source;
+      try {
+        j = ANALYSIS_PARAM ? decodeInlineJson(ANALYSIS_PARAM) : undefined;
+        source = "inline";
+      } catch (e) {
+        debugReport(`[analysis] inline analysis could not be decoded: ${e.message || e}`);
+        return null;
+      }
 
+      if (j === undefined) {
+        source = ANALYSIS_PARAM
+          ? new URL(ANALYSIS_PARAM, window.location.href).toString()
+          : inferJsonUrlFromScoreUrl(scoreUrl);
+        j = await fetchAnalysisJson(source, !!ANALYSIS_PARAM);
+        if (j === null) return null;
+      }
 
-  function sendSlideIndexCc(index) {
-    if (!isActiveViewer) return;
-    // CC24: slide index (0..127)
-    sendCC(24, index);
-    if (DEBUG) console.log("Sent slide index (CC24):", index);
-  }
+      if (DEBUG) console.log(`Loaded analysis JSON (${source.startsWith("data:") ? "data URL" : source}):`, j);
 
-  function sendAllNotesOff(channel = 0) {
-    if (!midiOut) return;
-    // CC123 (All Notes Off)
-    sendCC(123, 0, channel);
-  }
+      for (const err of await validateAnalysis(j)) {
+        debugReport(`[analysis] schema: ${err}`);
+      }
 
-  function sendStepNotesAsMidi(stepIndex) {
-    if (!midiOut) return;
-    const pitches = stepPitches[stepIndex - 1] || [];
-    if (DEBUG) console.log(`Step ${stepIndex} -> MIDI pitches to send:`, pitches);
+      // Unusable without a steps array; everything else degrades per step
+      if (!j || typeof j !== "object" || !Array.isArray(j.steps)) return null;
+      return j;
+    }
 
-    // note-on burst
-    const vel = 100;
-    const ch = 0;
-    for (const p of pitches) {
-      const pitch = clampInt(p, 0, 127);
-      midiOut.send([0x90 | ch, pitch, vel]);
+    function checkAnalysisAgainstScore() {
+      // Anchored analyses report unresolved anchors while computing their spans instead
+      if (!analysis || analysisIsAnchored()) return;
+      const a = analysis.steps.length;
+      const n = harmonicSteps.length;
+      if (a !== n) {
+        debugReport(`[analysis] analysis has ${a} step${a === 1 ? "" : "s"}, score has ${n}`);
+      }
     }
 
-    // short note length then All Notes Off
-    window.setTimeout(() => {
-      // only active viewer keeps outputting; but always cleanup
-      sendAllNotesOff(ch);
-    }, 80);
-  }
+    // ---------------------------
+    // Analysis embedded in the score (used when there is no JSON analysis)
+    //   MusicXML: <harmony> with <function> or <numeral>, <figured-bass> — read from the source text,
+    //             Verovio's import drops <function> and the exact positions
+    //   MEI:      <harm> (text, or <fb><f> figures), anchored by @startid or measure + @tstamp
+    //   Humdrum:  **harm / **rhrm tokens (position from Verovio's <harm>, text from the token)
+    // Labels are sorted out by their text: Roman numeral -> stufe, Riemann function -> function,
+    // anything else (chord symbols like "G7") is skipped. Labels at one position make one entry;
+    // figures at the position of a numeral without figures are added to it ("V" + 6/#4 -> "V6#4").
+    // ---------------------------
+    const FUNCTION_LABEL_RE = /^[(\[]?(?:D?D|[TSDtsd])[pPgGaA]?\d*[)\]]?$/;
+    const ROMAN_BY_DEGREE = ["I", "II", "III", "IV", "V", "VI", "VII"];
+    // MusicXML <kind> -> [quality, seventh chord]
+    const MUSICXML_KINDS = {
+      major: ["major", false],
+      minor: ["minor", false],
+      augmented: ["augmented", false],
+      diminished: ["diminished", false],
+      dominant: ["major", true],
+      "major-seventh": ["major", true],
+      "minor-seventh": ["minor", true],
+      "major-minor": ["minor", true],
+      "diminished-seventh": ["diminished", true],
+      "augmented-seventh": ["augmented", true],
+      "half-diminished": ["half-diminished", true],
+    };
+    const INVERSION_FIGURES = { triad: ["", "6", "64"], seventh: ["7", "65", "43", "42"] };
+    const QUALITY_MARKS = { diminished: "o", "half-diminished": "ø", augmented: "+" };
+    const MUSICXML_ACCIDENTALS = { sharp: "#", flat: "b", natural: "n" };
+
+    function analysisFromScore(score) {
+      let entries;
+      try {
+        if (score.format === "musicxml") entries = musicXmlScoreLabels(score.text);
+        else entries = meiScoreLabels(score.format === "humdrum" ? humdrumHarmTokens(score.text) : null);
+      } catch (e) {
+        debugReport(`[analysis] could not read the labels in the score: ${e.message || e}`);
+        return null;
+      }
 
-  function handleMidiMessage(ev) {
-    if (!isActiveViewer && IS_EMBEDDED) return; 
+      const steps = mergeScoreLabels(entries);
+      if (!steps.length) return null;
+      log(`[analysis] ${steps.length} label${steps.length === 1 ? "" : "s"} from the score`);
+      return { steps };
+    }
 
-    const data = ev.data || [];
-    const status = data[0] || 0;
-    const d1 = data[1] || 0;
-    const d2 = data[2] || 0;
+    function classifyScoreLabel(text) {
+      const t = String(text || "").trim();
+      if (!t) return null;
+      if (parseRomanNumeral(t)) return { stufe: t };
+      if (FUNCTION_LABEL_RE.test(t)) return { function: t };
+      log(`[analysis] score label "${t}" is not a Roman numeral or function, skipped`);
+      return null;
+    }
 
-    const msgType = status & 0xf0;
+    function mergeScoreLabels(entries) {
+      // -> analysis steps: one anchored entry per position, in score order
+      const byPosition = new Map();
+      for (const e of entries.slice().sort((a, b) => a.order - b.order)) {
+        const key = JSON.stringify(e.at);
+        if (!byPosition.has(key)) byPosition.set(key, { at: e.at });
+        const merged = byPosition.get(key);
+        for (const field of ["stufe", "function", "figures"]) {
+          if (e[field] !== undefined && merged[field] === undefined) merged[field] = e[field];
+        }
+      }
 
-    // CC only
-    if (msgType === 0xb0) {
-      const cc = d1 & 0x7f;
-      const value = d2 & 0x7f;
+      return Array.from(byPosition.values()).map(({ at, figures, ...labels }) => {
+        if (figures && labels.stufe) {
+          const parsed = parseRomanNumeral(labels.stufe);
+          if (parsed && !parsed.chords[0].figures.length) {
+            const [first, ...applied] = labels.stufe.split("/");
+            labels.stufe = [first + figures.join(""), ...applied].join("/");
+            figures = undefined;
+          }
+        }
+        return figures ? { ...labels, figures, at } : { ...labels, at };
+      });
+    }
 
-      // CC22 = step index (0..N)
-      if (cc === 22) {
-        // value 0 clears; 1..N selects
-        const step = clampInt(value, 0, harmonicSteps.length);
-        highlightStep(step);
+    function musicXmlScoreLabels(xmlText) {
+      const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+      if (!doc || doc.getElementsByTagName("parsererror").length) return [];
+
+      const entries = [];
+      for (const part of Array.from(doc.getElementsByTagName("part"))) {
+        let divisions = 1;
+        let beatType = 4;
+        const measures = Array.from(part.children).filter((c) => c.localName === "measure");
+
+        measures.forEach((measure, seq) => {
+          let pos = 0; // in divisions from the start of the measure
+          const push = (labels, offset) => {
+            const beat = Math.round((1 + ((pos + offset) / divisions) * (beatType / 4)) * 1e6) / 1e6;
+            entries.push({ ...labels, at: { measure: measure.getAttribute("number"), beat }, order: seq * 1000 + beat });
+          };
+
+          for (const el of Array.from(measure.children)) {
+            switch (el.localName) {
+              case "attributes":
+                divisions = Number(xmlChildText(el, "divisions")) || divisions;
+                beatType = Number(xmlChildText(xmlChild(el, "time"), "beat-type")) || beatType;
+                break;
+              case "note":
+                if (!xmlChild(el, "chord") && !xmlChild(el, "grace")) pos += Number(xmlChildText(el, "duration")) || 0;
+                break;
+              case "backup":
+                pos -= Number(xmlChildText(el, "duration")) || 0;
+                break;
+              case "forward":
+                pos += Number(xmlChildText(el, "duration")) || 0;
+                break;
+              case "harmony": {
+                const labels = musicXmlHarmonyLabels(el);
+                if (labels) push(labels, Number(xmlChildText(el, "offset")) || 0);
+                break;
+              }
+              case "figured-bass": {
+                const figures = musicXmlFigures(el);
+                if (figures.length) push({ figures }, 0);
+                break;
+              }
+            }
+          }
+        });
       }
+      return entries;
     }
-  }
 
-  async function initMidi() {
-    if (!navigator.requestMIDIAccess) {
-      warn("WebMIDI not supported in this browser.");
-      return;
+    function xmlChild(el, name) {
+      return el ? Array.from(el.children).find((c) => c.localName === name) || null : null;
     }
 
-    midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+    function xmlChildText(el, name) {
+      const child = xmlChild(el, name);
+      return child ? child.textContent.trim() : "";
+    }
 
-    // Pick ports robustly
-    midiIn = pickMidiPort(midiAccess.inputs, IN_PORT_HINT);
-    midiOut = pickMidiPort(midiAccess.outputs, OUT_PORT_HINT);
+    function musicXmlHarmonyLabels(harmony) {
+      // <numeral> -> stufe, <function> -> stufe or function (by its text); chord symbols (<root>) skipped
+      const labels = {};
+      const numeral = xmlChild(harmony, "numeral");
+      if (numeral) {
+        const stufe = musicXmlNumeral(numeral, xmlChild(harmony, "kind"), Number(xmlChildText(harmony, "inversion")) || 0);
+        if (stufe) labels.stufe = stufe;
+      }
 
-    if (DEBUG) {
-      console.log(
-        "MIDI inputs:",
-        Array.from(midiAccess.inputs.values()).map((p) => p.name)
-      );
-      console.log(
-        "MIDI outputs:",
-        Array.from(midiAccess.outputs.values()).map((p) => p.name)
-      );
-    }
+      const fn = classifyScoreLabel(xmlChildText(harmony, "function"));
+      if (fn && !(fn.stufe && labels.stufe)) Object.assign(labels, fn);
 
-    if (midiIn) {
-      midiIn.onmidimessage = handleMidiMessage;
-      console.log("BOUND INPUT:", midiIn.name);
-    } else {
-      warn("No MIDI input port found.");
+      if (!Object.keys(labels).length && xmlChild(harmony, "root")) {
+        log("[analysis] MusicXML chord symbol skipped (not a Roman numeral or function)");
+      }
+      return Object.keys(labels).length ? labels : null;
     }
 
-    if (midiOut) {
-      console.log("BOUND OUTPUT:", midiOut.name);
-    } else {
-      warn("No MIDI output port found.");
+    function musicXmlNumeral(numeral, kind, inversion) {
+      // <numeral-root text="ii">2</numeral-root> <numeral-alter>, <kind>minor-seventh</kind>, <inversion>1 -> "ii65"
+      const root = xmlChild(numeral, "numeral-root");
+      const degree = Number(root && root.textContent.trim());
+      const [quality, seventh] = MUSICXML_KINDS[kind ? kind.textContent.trim() : "major"] || ["major", false];
+
+      let roman = root && root.getAttribute("text");
+      if (!roman || !/^(?:[IViv]+)$/.test(roman)) {
+        if (!(degree >= 1 && degree <= 7)) return null;
+        roman = ROMAN_BY_DEGREE[degree - 1];
+        if (quality !== "major" && quality !== "augmented") roman = roman.toLowerCase();
+      }
+
+      const alter = Number(xmlChildText(numeral, "numeral-alter")) || 0;
+      const figures = INVERSION_FIGURES[seventh ? "seventh" : "triad"][inversion] || "";
+      return (alter < 0 ? "b" : alter > 0 ? "#" : "") + roman + (QUALITY_MARKS[quality] || "") + figures;
     }
-  }
 
-  // ---------------------------
-  // Debug controls
-  // ---------------------------
-  function wireDebug() {
-    if (!elNextBtn) return;
-    elNextBtn.addEventListener("click", () => {
-      const next = highlightedStep + 1 > harmonicSteps.length ? 0 : highlightedStep + 1;
-      highlightStep(next);
-    });
-  }
+    function musicXmlFigures(figuredBass) {
+      // <figure><prefix>sharp</prefix><figure-number>4</figure-number></figure> -> "#4"; a lone accidental is the third
+      return Array.from(figuredBass.children)
+        .filter((c) => c.localName === "figure")
+        .map((fig) => {
+          const accidental =
+            MUSICXML_ACCIDENTALS[xmlChildText(fig, "prefix")] || MUSICXML_ACCIDENTALS[xmlChildText(fig, "suffix")] || "";
+          const number = xmlChildText(fig, "figure-number") || (accidental ? "3" : "");
+          return number ? accidental + number : "";
+        })
+        .filter(Boolean);
+    }
 
-  // ---------------------------
-  // postMessage interface for Reveal wrapper
-  // ---------------------------
-  window.addEventListener("message", (ev) => {
-    const msg = ev.data;
-    if (!msg || typeof msg !== "object") return;
+    function meiScoreLabels(humdrumTokens) {
+      // Verovio's <harm> (MEI as loaded, or converted from Humdrum: xml:id "harm-L<line>F<field>")
+      return scoreHarms
+        .map((h) => {
+          let labels;
+          if (h.figures.length) {
+            labels = { figures: h.figures };
+          } else {
+            const m = humdrumTokens && /^harm-L(\d+)F(\d+)$/.exec(h.id || "");
+            const token = m ? humdrumTokens.get(`${m[1]}:${m[2]}`) : null;
+            labels = classifyScoreLabel(token ? token.text : h.text);
+          }
+          if (!labels) return null;
+
+          const tstamp = Number.isFinite(h.tstamp) ? h.tstamp : null;
+          let at = null;
+          if (h.startid) at = { ids: [h.startid] };
+          else if (h.measure !== null && tstamp !== null) at = { measure: h.measure, beat: tstamp };
+          if (!at) return null;
+          return { ...labels, at, order: h.seq * 1000 + (tstamp || 0) };
+        })
+        .filter(Boolean);
+    }
 
-    if (msg.type === "harmony-activate") {
-      isActiveViewer = true;
+    function humdrumHarmTokens(text) {
+      // "line:field" (1-based, as in Verovio's ids) -> { text } for **harm / **rhrm data tokens.
+      // **harm is converted to the overlay's notation; a key change (*G:, *f#:) prefixes the next label.
+      const tokens = new Map();
+      let spines = []; // per field: { type, key }
+      const lastKey = new Map(); // spine type -> key of its previous label
+
+      text.split(/\r?\n/).forEach((line, i) => {
+        if (!line || line.startsWith("!") || line.startsWith("=")) return;
+        const fields = line.split("\t");
+
+        if (line.startsWith("*")) {
+          // A key usually sits in the **kern spines only: it applies to the whole line
+          const keyToken = fields.map((tok) => tok.match(/^\*([A-Ga-g][#-]?):$/)).find(Boolean);
+          const next = [];
+          fields.forEach((tok, f) => {
+            const spine = spines[f] || { type: null, key: null };
+            if (tok.startsWith("**")) next.push({ type: tok, key: null });
+            else if (tok === "*^") next.push({ ...spine }, { ...spine });
+            else if (tok === "*v") {
+              if (fields[f - 1] !== "*v") next.push(spine);
+            } else if (tok !== "*-") {
+              next.push(keyToken && (tok === "*" || tok === keyToken[0]) ? { ...spine, key: keyToken[1] } : spine);
+            }
+          });
+          spines = next;
+          return;
+        }
 
-      // ✅ READ slideIndex HERE
-      currentSlideIndex = clampInt(msg.slideIndex ?? 0, 0, 127);
+        fields.forEach((tok, f) => {
+          const spine = spines[f];
+          if (!spine || (spine.type !== "**harm" && spine.type !== "**rhrm") || tok === "." || !tok) return;
+
+          let label = spine.type === "**harm" ? humdrumHarmToRoman(tok) : tok.replace(/-/g, "b");
+          if (spine.key && lastKey.has(spine.type) && lastKey.get(spine.type) !== spine.key) {
+            label = `${spine.key}: ${label}`;
+          }
+          lastKey.set(spine.type, spine.key);
+          tokens.set(`${i + 1}:${f + 1}`, { text: label });
+        });
+      });
+      return tokens;
+    }
 
-      if (DEBUG) {
-        console.log("[viewer] ACTIVATED, slide:", currentSlideIndex);
-      }
+    function humdrumHarmToRoman(token) {
+      // **harm: "-" flat, inversion letters b/c/d, Lt / Gn / Fr for augmented sixths: "V7c" -> "V43", "-VIb" -> "bVI6"
+      return token
+        .split("/")
+        .map((part) => {
+          const m = part.match(/^([#-]*)([IViv]+|N|Lt|Gn|Fr)([o+]?)(\d*)([bcd]?)$/);
+          if (!m) return part;
+          const [, accidental, numeral, quality, figures, inversionLetter] = m;
+          const inversion = inversionLetter ? " bcd".indexOf(inversionLetter) : 0;
+          const figure = inversion
+            ? INVERSION_FIGURES[figures === "7" ? "seventh" : "triad"][inversion] || figures
+            : figures;
+          return accidental.replace(/-/g, "b") + ({ Lt: "It", Gn: "Ger" }[numeral] || numeral) + quality + figure;
+        })
+        .join("/");
+    }
 
-      sendStepCountCc();
-      sendSlideIndexCc(currentSlideIndex);
-      highlightStep(highlightedStep);
-      notifyParentOfHeight();
-      return;
+    // ---------------------------
+    // Automatic analysis (analysis=auto): Roman numerals and functions from each step's sounding chord
+    //   key: the first key signature; major or minor as the score says (@mode), else guessed from the
+    //        first and last bass notes and the raised leading tone of the relative minor
+    //   chords: triads and seventh chords (the dominant seventh also without its fifth); root and
+    //           inversion from the spelling; chromatic dominants become applied chords ("V7/V");
+    //           anything else is marked unrecognised ("?")
+    // Meant as a starting point: exportAnalysis() / "Download JSON" give a file to correct by hand.
+    // ---------------------------
+    const CHORD_TYPES = [
+      { intervals: [0, 4, 7], quality: "major", dominant: true },
+      { intervals: [0, 3, 7], quality: "minor" },
+      { intervals: [0, 3, 6], quality: "diminished" },
+      { intervals: [0, 4, 8], quality: "augmented" },
+      { intervals: [0, 4, 7, 10], quality: "major", seventh: true, dominant: true },
+      { intervals: [0, 4, 10], quality: "major", seventh: true, dominant: true },
+      { intervals: [0, 4, 7, 11], quality: "major", seventh: true },
+      { intervals: [0, 3, 7, 10], quality: "minor", seventh: true },
+      { intervals: [0, 3, 6, 10], quality: "half-diminished", seventh: true },
+      { intervals: [0, 3, 6, 9], quality: "diminished", seventh: true },
+    ];
+    const CHORD_MEMBER_BY_INTERVAL = [0, null, null, 1, 1, null, 2, 2, 2, 3, 3, 3]; // root, third, fifth, seventh
+    const SCALES = { major: [0, 2, 4, 5, 7, 9, 11], minor: [0, 2, 3, 5, 7, 8, 10] };
+    // Diatonic triads (minor: harmonic minor's V and vii°, natural minor's III, VI, VII)
+    const DIATONIC_QUALITIES = {
+      major: ["major", "minor", "minor", "major", "major", "minor", "diminished"],
+      minor: ["minor", "diminished", "major", "minor", "major", "major", "diminished"],
+    };
+    const DEGREE_FUNCTIONS = ["T", "S", "T", "S", "D", "T", "D"];
+
+    function parseNoteName(name) {
+      // "F#4" / "Bb3" -> { letter: 3 (0 = C), pc: 6 }
+      const m = String(name || "").match(/^([A-Ga-g])(#*|b*)-?\d*$/);
+      if (!m) return null;
+      const letter = PNAMES.indexOf(m[1].toLowerCase());
+      const alter = m[2].startsWith("#") ? m[2].length : -m[2].length;
+      return { letter, pc: (((pnameToSemitone(PNAMES[letter]) + alter) % 12) + 12) % 12 };
     }
 
+    function keyFromFifths(fifths, mode) {
+      // 2 sharps: D major / b minor. letter: 0 = C .. 6 = B
+      const letter = mode === "minor" ? (((fifths * 4 + 5) % 7) + 7) % 7 : (((fifths * 4) % 7) + 7) % 7;
+      const pc = ((((fifths * 7 + (mode === "minor" ? 9 : 0)) % 12) + 12) % 12);
+      const alter = ((pc - pnameToSemitone(PNAMES[letter]) + 18) % 12) - 6;
+      const name = PNAMES[letter] + (alter > 0 ? "#".repeat(alter) : "b".repeat(-alter));
+      return { letter, pc, mode, name: mode === "minor" ? name : name[0].toUpperCase() + name.slice(1) };
+    }
 
-    if (msg.type === "harmony-deactivate") {
-      isActiveViewer = false;
-      log("[viewer] deactivated");
-      sendAllNotesOff();
-      return;
+    function guessScoreKey(chords) {
+      const fifths = scoreKey ? scoreKey.fifths : 0;
+      const mode = scoreKey && String(scoreKey.mode || "").toLowerCase();
+      if (mode === "major" || mode === "minor") return keyFromFifths(fifths, mode);
+
+      // Evidence for the relative minor: starts / ends on its tonic, uses its raised leading tone
+      const major = keyFromFifths(fifths, "major");
+      const minor = keyFromFifths(fifths, "minor");
+      const sounding = chords.filter((c) => c.pitches.length);
+      const bassIs = (c, key) => !!c && ((c.pitches[0] % 12) + 12) % 12 === key.pc;
+      const evidence = (key) =>
+        (bassIs(sounding[0], key) ? 1 : 0) + (bassIs(sounding[sounding.length - 1], key) ? 2 : 0);
+      const leadingTone = (minor.pc + 11) % 12;
+      const raised = sounding.some((c) => c.pitches.some((m) => ((m % 12) + 12) % 12 === leadingTone));
+      return evidence(minor) + (raised ? 1 : 0) > evidence(major) ? minor : major;
     }
 
-    if (msg.type === "harmony-request-step-count") {
-      // parent can request CC23 resend (only if active)
-      sendStepCountCc();
-      return;
+    function identifyChord(chord) {
+      // -> { rootPc, rootLetter, type, member (of the bass) } or null
+      const spelled = new Map(); // pc -> letter (spelling of its lowest note)
+      chord.pitches.forEach((midi, i) => {
+        const note = parseNoteName(String(chord.names[i] || "").replace(/-?\d+$/, ""));
+        const pc = ((midi % 12) + 12) % 12;
+        if (!spelled.has(pc)) spelled.set(pc, note ? note.letter : null);
+      });
+      if (spelled.size < 3) return null;
+
+      const bassPc = ((chord.pitches[0] % 12) + 12) % 12;
+      let best = null;
+      for (const [rootPc, rootLetter] of spelled) {
+        const intervals = Array.from(spelled.keys()).map((pc) => (pc - rootPc + 12) % 12).sort((a, b) => a - b);
+        const type = CHORD_TYPES.find((t) => t.intervals.join() === intervals.join());
+        if (!type) continue;
+
+        // Enharmonic roots (diminished sevenths, augmented triads): trust the spelling in thirds
+        const inThirds = Array.from(spelled.values()).every(
+          (letter) => letter === null || rootLetter === null || (letter - rootLetter + 7) % 7 % 2 === 0
+        );
+        const score = (inThirds ? 2 : 0) + (rootPc === bassPc ? 1 : 0);
+        if (!best || score > best.score) {
+          best = { rootPc, rootLetter, type, member: CHORD_MEMBER_BY_INTERVAL[(bassPc - rootPc + 12) % 12], score };
+        }
+      }
+      return best && best.rootLetter !== null ? best : null;
     }
-  });
 
-  // ---------------------------
-  // Main load
-  // ---------------------------
-  async function loadAndRender(scoreUrl) {
-    if (!scoreUrl) {
-      elScore.textContent = "No score URL provided (?score=...)";
-      return;
+    function romanFor(degree, quality, accidental = 0) {
+      // degree 0..6 -> "bVI", "ii", "viio", "III+"
+      let roman = ROMAN_BY_DEGREE[degree];
+      if (quality !== "major" && quality !== "augmented") roman = roman.toLowerCase();
+      return (accidental > 0 ? "#" : "b").repeat(Math.abs(accidental)) + roman + (QUALITY_MARKS[quality] || "");
     }
 
-    const tk = ensureToolkit();
+    function autoLabel(chord, key) {
+      // -> { stufe, function } or null (unrecognised)
+      const found = identifyChord(chord);
+      if (!found) return null;
+
+      const { rootPc, rootLetter, type, member } = found;
+      const scale = SCALES[key.mode];
+      const degree = (rootLetter - key.letter + 7) % 7;
+      let accidental = ((((rootPc - key.pc - scale[degree]) % 12) + 18) % 12) - 6;
+      if (key.mode === "minor" && degree === 6 && accidental === 1) accidental = 0; // leading tone
+      const figures = INVERSION_FIGURES[type.seventh ? "seventh" : "triad"][member] || "";
+
+      // Chromatic notes: applied dominant (V, V7) or leading-tone chord (viio, viio7, viiø7) of another degree
+      const inKey = (pc) => {
+        const rel = (pc - key.pc + 12) % 12;
+        return scale.includes(rel) || (key.mode === "minor" && (rel === 9 || rel === 11));
+      };
+      if (!chord.pitches.every((m) => inKey(((m % 12) + 12) % 12))) {
+        // V: the target is a fifth below (4 letters up), viio: a semitone above (1 letter up)
+        const applied = type.dominant
+          ? { letters: 3, semitones: 5, numeral: "V" }
+          : type.quality.endsWith("diminished") ? { letters: 1, semitones: 1, numeral: "vii" } : null;
+        const target = applied ? (degree + applied.letters) % 7 : 0;
+        const targetQuality = DIATONIC_QUALITIES[key.mode][target];
+        const targetIsDiatonic = applied && (rootPc + applied.semitones) % 12 === (key.pc + scale[target]) % 12;
+        if (targetIsDiatonic && target !== 0 && targetQuality !== "diminished") {
+          return {
+            stufe: `${applied.numeral}${QUALITY_MARKS[type.quality] || ""}${figures}/${romanFor(target, targetQuality)}`,
+            function: "(D)",
+          };
+        }
+      }
 
-    // Load score
-    const resp = await fetch(scoreUrl, { cache: "no-store" });
-    if (!resp.ok) throw new Error(`Failed to fetch score: ${resp.status}`);
-    const xml = await resp.text();
+      return {
+        stufe: romanFor(degree, type.quality, accidental) + figures,
+        function: accidental === 0 ? DEGREE_FUNCTIONS[degree] : "",
+      };
+    }
 
-    tk.loadData(xml);
+    function autoAnalysis() {
+      const chords = harmonicSteps.map((_, i) => stepChord(i + 1));
+      const key = guessScoreKey(chords);
+      key.name = transposeNoteName(key.name, -transposeFifths); // labels are kept as written
+      let first = true;
+
+      const steps = chords.map((chord) => {
+        const label = autoLabel(chord, key);
+        if (!label) {
+          const names = chord.names.map((n) => String(n).replace(/-?\d+$/, ""));
+          return { comment: `Unrecognised: ${names.join(" ") || "no notes"}` };
+        }
+        if (first) label.stufe = `${key.name}: ${label.stufe}`;
+        first = false;
+        return label.function ? label : { stufe: label.stufe };
+      });
 
-    // Render SVG
-    const svg = tk.renderToSVG(1);
-    elScore.innerHTML = svg;
+      const mode = key.mode === "minor" ? "minor" : "major";
+      log(`[analysis] automatic analysis in ${key.name} ${mode}, ${steps.filter((e) => !e.stufe).length} unrecognised`);
+      return { title: `Automatic analysis (${key.name.toUpperCase()[0] + key.name.slice(1)} ${mode})`, steps };
+    }
 
-    // ⏱ IMPORTANT: wait until SVG is actually in the DOM
-    requestAnimationFrame(async () => {
+    function exportAnalysis() {
+      // The analysis on show as a file (JSON copy); automatic analyses are ready to correct and save
+      return analysis ? JSON.parse(JSON.stringify(analysis)) : null;
+    }
 
-      // Build steps + pitches (NOW the SVG is queryable)
-      harmonicSteps = buildHarmonicStepsFromSvg();
-      console.log("Total harmonic steps:", harmonicSteps.length);
+    function downloadAnalysis() {
+      const data = exportAnalysis();
+      if (!data) return;
+      downloadBlob(new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: "application/json" }), exportFileName(".json"));
+    }
 
-      computeStepPitches();
+    function updateAnalysisStatus() {
+      // analysis=auto: say so under the score, with the export button
+      elAnalysisStatus.hidden = analysisSource !== "auto";
+      elOverlay.classList.toggle("is-auto", analysisSource === "auto");
+      if (analysisSource === "auto") elAnalysisStatusText.textContent = `${analysis.title} — check before use`;
+    }
 
-      // Load analysis JSON if present
-      analysis = await loadAnalysisIfPresent(scoreUrl);
+    // ---------------------------
+    // Analysis editor (edit=yes)
+    //   The draft covers every step: one entry per run of steps (a label may be empty). Selecting a
+    //   step (click, keys, CC22) edits the entry holding it; "Merge with next" lets it span the next
+    //   entry's steps too, "Split here" starts a new entry at the current step, the arrows swap the
+    //   labels with the neighbouring entry. Every change re-renders the overlay and is saved to
+    //   localStorage under the score URL; a saved draft wins over the analysis file on the next load.
+    //   Export: one entry per step -> classic steps[i]; otherwise anchored entries ("at": measure / beat).
+    // ---------------------------
+    const EDITOR_FIELDS = ["stufe", "function", "color", "comment"];
+    // draft.extra: entries of the loaded analysis on no step of this score (past the last step,
+    // unresolved anchors), written back unchanged
+    let draft = null; // { meta: { title, colorBy, palette }, entries: [{ startStep, endStep, labels }], extra }
+    let editBase = null; // { analysis, source } as loaded, for "Discard draft"
+    const editorFieldEntries = new Map(); // input -> the draft entry its value was filled from
+
+    function draftStorageKey() {
+      return `harmony-viewer:draft:${new URL(SCORE_URL, window.location.href).toString()}`;
+    }
 
-      // Initial highlight
-      highlightStep(0);
+    function readSavedDraft() {
+      try {
+        const saved = JSON.parse(window.localStorage.getItem(draftStorageKey()) || "null");
+        return saved && saved.analysis && Array.isArray(saved.analysis.steps) ? saved : null;
+      } catch {
+        return null; // storage blocked (sandboxed iframe, private mode) or garbage
+      }
+    }
 
-      // ✅ Standalone activation
-      if (!IS_EMBEDDED) {
-        isActiveViewer = true;
+    function saveDraft() {
+      try {
+        const base = analysisFingerprint(editBase && editBase.analysis);
+        window.localStorage.setItem(draftStorageKey(), JSON.stringify({ savedAt: Date.now(), base, analysis }));
+      } catch (e) {
+        warn("[editor] could not save the draft:", e);
       }
+    }
 
-      // ✅ CC23 now always has the correct value
-      sendStepCountCc();
+    function analysisFingerprint(a) {
+      // Short hash of an analysis (FNV-1a over its JSON): did the file change since the draft was saved?
+      if (!a) return null;
+      let h = 0x811c9dc5;
+      for (const c of JSON.stringify(a)) h = Math.imul(h ^ c.charCodeAt(0), 0x01000193) >>> 0;
+      return h.toString(16);
+    }
 
-      // Fit first (important!)
-      applySvgFitToContainer();
+    function startEditing(loaded) {
+      // After a load: pick up a saved draft, or start from the analysis on show (or from nothing)
+      editBase = loaded;
+      const saved = readSavedDraft();
+      if (saved) {
+        analysis = saved.analysis;
+        analysisSource = "edit";
+        analysisSpans = computeAnalysisSpans();
+        colorMode = resolveColorMode();
+        updateAnalysisStatus();
+        log(`[editor] draft restored (saved ${new Date(saved.savedAt).toLocaleString()})`);
+      }
+      showDraftNotice(saved);
+      draft = draftFromAnalysis();
+      renderEditor(saved ? `Draft from ${new Date(saved.savedAt).toLocaleString()} restored` : "");
+    }
 
-      // ✅ Compute ONE shared baseline AFTER fit
-      globalAnalysisBaselineY = computeGlobalAnalysisBaselineY();
+    function showDraftNotice(saved) {
+      // Stays up while the saved draft is what's shown: the loaded analysis is being ignored
+      const what = { json: "the analysis file", score: "the labels in the score", auto: "the automatic analysis" }[
+        editBase && editBase.source
+      ];
+      elEditorNotice.hidden = !saved || !what;
+      if (elEditorNotice.hidden) return;
+
+      const changed = !!saved.base && saved.base !== analysisFingerprint(editBase.analysis);
+      const date = new Date(saved.savedAt).toLocaleString();
+      elEditorNotice.textContent =
+        `Your saved draft (${date}) is shown instead of ${what}` +
+        `${changed ? ", which has changed since the draft was saved" : ""}. "Discard draft" shows ${what} again.`;
+      elEditorNotice.classList.toggle("is-stale", changed);
+      if (changed) debugReport(`[editor] ${what} changed since the draft of ${date} was saved; the draft is shown`);
+    }
 
-      if (DEBUG) {
-        console.log("[analysis] global baseline Y:", globalAnalysisBaselineY);
+    function draftFromAnalysis() {
+      const { steps, ...meta } = analysis || {};
+      const entries = [];
+      let lastEntryIndex = null;
+
+      for (let step = 1; step <= harmonicSteps.length; step++) {
+        const sp = analysis ? spanForStep(step) : null;
+        const last = entries[entries.length - 1];
+        if (sp && last && lastEntryIndex === sp.entryIndex) {
+          last.endStep = step;
+          continue;
+        }
+        const entry = sp ? steps[sp.entryIndex] : null;
+        const { at, until, ...labels } = entry && typeof entry === "object" ? entry : {};
+        entries.push({ startStep: step, endStep: step, labels });
+        lastEntryIndex = sp ? sp.entryIndex : null;
       }
 
-      notifyParentOfHeight();
+      const placed = new Set(analysisSpans.map((sp) => sp.entryIndex));
+      const extra = (steps || []).filter((_, i) => !placed.has(i));
+      if (extra.length) log(`[editor] ${extra.length} entr${extra.length === 1 ? "y" : "ies"} on no step of this score, kept as they are`);
+      return { meta, entries, extra, extraDropped: false };
+    }
 
-    });
-  }
+    function stepAnchor(stepIndex) {
+      // { measure, beat } that resolves back to this step (see resolveAnchor), { time } without a measure
+      const info = stepInfo[stepIndex - 1] || {};
+      const m = info.measureN !== null ? measureStarts.get(String(info.measureN)) : null;
+      if (m && Number.isFinite(m.qstamp) && Number.isFinite(info.qstamp)) {
+        const unit = meterUnitByMeasureId.get(m.measureId) || 4;
+        const beat = Math.round((1 + ((info.qstamp - m.qstamp) * unit) / 4) * 1e6) / 1e6;
+        const measure = /^\d+$/.test(info.measureN) ? Number(info.measureN) : info.measureN;
+        return beat === 1 ? { measure } : { measure, beat };
+      }
+      return { time: Math.round(info.tstamp || 0) / 1000 };
+    }
 
+    function analysisFromDraft() {
+      const oneStepEach = draft.entries.every((e) => e.startStep === e.endStep);
+      const steps = draft.entries.map((e) => {
+        const labels = {};
+        for (const [field, value] of Object.entries(e.labels)) {
+          const v = typeof value === "string" ? value.trim() : value;
+          if (v !== "" && v !== undefined && v !== null) labels[field] = v;
+        }
+        return oneStepEach ? labels : { ...labels, at: stepAnchor(e.startStep) };
+      });
 
-  // Resize handling
-  window.addEventListener("resize", () => {
-    applySvgFitToContainer();
-    notifyParentOfHeight();
-  });
+      // Extra entries follow the last one; once entries are anchored, one without "at" would take
+      // over the steps after the last anchor instead
+      const extra = draft.extra.filter((e) => oneStepEach || (e && typeof e === "object" && e.at));
+      const dropped = draft.extra.length - extra.length;
+      if (dropped && !draft.extraDropped) {
+        debugReport(`[editor] ${dropped} entr${dropped === 1 ? "y" : "ies"} past the last step without "at" left out of the edited analysis`);
+      }
+      draft.extraDropped = dropped > 0;
+      return { ...draft.meta, steps: steps.concat(extra) };
+    }
 
-  // Start
-  (async () => {
-    try {
-      wireDebug();
-      await initMidi();
-      await loadAndRender(SCORE_URL);
-    } catch (e) {
+    function draftEntryAt(stepIndex) {
+      return draft ? draft.entries.findIndex((e) => stepIndex >= e.startStep && stepIndex <= e.endStep) : -1;
+    }
+
+    function draftChanged() {
+      // Live preview: the draft becomes the analysis on show, same overlay, same baseline
+      analysis = analysisFromDraft();
+      analysisSource = "edit";
+      analysisSpans = computeAnalysisSpans();
+      colorMode = resolveColorMode();
+      updateAnalysisStatus();
+      applySvgHighlight(highlightedStep);
+      updateAnalysisOverlay(highlightedStep);
+      saveDraft();
+    }
+
+    function editorAction(action) {
+      const i = draftEntryAt(highlightedStep);
+      if (i < 0) return;
+      const entries = draft.entries;
+      const entry = entries[i];
+
+      switch (action) {
+        case "move-earlier":
+        case "move-later": {
+          // Swap labels with the neighbour and follow them there
+          const j = action === "move-earlier" ? i - 1 : i + 1;
+          if (!entries[j]) return;
+          [entry.labels, entries[j].labels] = [entries[j].labels, entry.labels];
+          draftChanged();
+          highlightStep(entries[j].startStep);
+          return;
+        }
+        case "merge": {
+          const next = entries[i + 1];
+          if (!next) return;
+          entry.endStep = next.endStep;
+          for (const [field, value] of Object.entries(next.labels)) {
+            if (entry.labels[field] === undefined || entry.labels[field] === "") entry.labels[field] = value;
+          }
+          entries.splice(i + 1, 1);
+          break;
+        }
+        case "split": {
+          if (entry.startStep === entry.endStep) return;
+          // At the current step, or right after it when the entry starts here
+          const at = highlightedStep > entry.startStep ? highlightedStep : highlightedStep + 1;
+          entries.splice(i + 1, 0, { startStep: at, endStep: entry.endStep, labels: {} });
+          entry.endStep = at - 1;
+          break;
+        }
+        case "copy":
+          copyAnalysisJson();
+          return;
+        case "download":
+          downloadAnalysis();
+          return;
+        case "discard":
+          discardDraft();
+          return;
+        default:
+          return;
+      }
+      draftChanged();
+      renderEditor();
+    }
+
+    function copyAnalysisJson() {
+      const text = `${JSON.stringify(exportAnalysis(), null, 2)}\n`;
+      const done = (ok) => renderEditor(ok ? "Analysis JSON copied" : "Could not copy (clipboard not available)");
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(() => done(true), () => done(false));
+      } else {
+        done(false);
+      }
+    }
+
+    function discardDraft() {
+      if (!window.confirm("Discard the draft and go back to the analysis as loaded?")) return;
+      try {
+        window.localStorage.removeItem(draftStorageKey());
+      } catch {
+        // nothing saved then
+      }
+      analysis = editBase ? editBase.analysis : null;
+      analysisSource = editBase ? editBase.source : null;
+      analysisSpans = computeAnalysisSpans();
+      colorMode = resolveColorMode();
+      updateAnalysisStatus();
+      draft = draftFromAnalysis();
+      applySvgHighlight(highlightedStep);
+      updateAnalysisOverlay(highlightedStep);
+      showDraftNotice(null);
+      renderEditor("Draft discarded");
+    }
+
+    function renderEditor(status) {
+      // Fields follow the current step; the field being typed in is left alone while it still
+      // shows the same entry (a step change by Enter, MIDI, the host or playback refills it too)
+      if (!EDIT_MODE || !draft) return;
+      const i = draftEntryAt(highlightedStep);
+      const entry = i >= 0 ? draft.entries[i] : null;
+
+      if (entry) {
+        const info = stepInfo[highlightedStep - 1] || {};
+        const span = entry.endStep > entry.startStep ? ` · entry spans steps ${entry.startStep}–${entry.endStep}` : "";
+        elEditorStep.textContent = `Step ${highlightedStep} of ${harmonicSteps.length}${info.measureN !== null ? ` · m. ${info.measureN}` : ""}${span}`;
+      } else {
+        elEditorStep.textContent = "Select a step (click a note) to edit its label";
+      }
+
+      for (const input of elEditor.querySelectorAll("input[name]")) {
+        input.disabled = !entry;
+        if (input === document.activeElement && editorFieldEntries.get(input) === entry) continue;
+        input.value = entry ? entry.labels[input.name] || "" : "";
+        editorFieldEntries.set(input, entry);
+      }
+      const action = (name) => elEditor.querySelector(`[data-action="${name}"]`);
+      action("move-earlier").disabled = !entry || i === 0;
+      action("move-later").disabled = !entry || i === draft.entries.length - 1;
+      action("merge").disabled = !entry || i === draft.entries.length - 1;
+      action("split").disabled = !entry || entry.startStep === entry.endStep;
+      if (status !== undefined) elEditorStatus.textContent = status;
+    }
+
+    function wireEditor() {
+      if (!EDIT_MODE) return;
+      elEditor.hidden = false;
+
+      elEditor.addEventListener("input", (ev) => {
+        const field = ev.target.name;
+        const i = draftEntryAt(highlightedStep);
+        if (!EDITOR_FIELDS.includes(field) || i < 0) return;
+        draft.entries[i].labels[field] = ev.target.value;
+        draftChanged();
+      });
+      elEditor.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("button[data-action]");
+        if (btn) editorAction(btn.dataset.action);
+      });
+      // Enter: on to the next step, like a spreadsheet
+      elEditor.addEventListener("keydown", (ev) => {
+        if (ev.key !== "Enter" || ev.target.tagName !== "INPUT") return;
+        ev.preventDefault();
+        const i = draftEntryAt(highlightedStep);
+        const next = i >= 0 ? draft.entries[i + 1] : null;
+        if (next) highlightStep(next.startStep);
+      });
+    }
+
+    // ---------------------------
+    // Analysis anchoring: which entry labels which steps
+    //   no "at" anywhere -> steps[i] labels harmonic step i+1 (classic)
+    //   "at": { measure, beat } | { time } | { ids } -> entry starts at the first onset at/after that position
+    //   "until": same shape, exclusive end; default: until the next entry starts
+    //   entries without "at" in an anchored analysis start right after the previous entry
+    // ---------------------------
+    function analysisIsAnchored() {
+      return !!analysis && analysis.steps.some((e) => e && typeof e === "object" && (e.at || e.until));
+    }
+
+    function firstStepAtOrAfter(field, value) {
+      const idx = stepInfo.findIndex((s) => s[field] !== null && s[field] >= value - 1e-6);
+      return idx + 1; // 0 when every onset is earlier
+    }
+
+    function resolveAnchor(anchor, where, isEnd) {
+      // -> step index (1..N), N+1 for an end past the last onset, null when not found
+      if (!anchor || typeof anchor !== "object") return null;
+
+      let step = 0;
+      let known = false; // position exists in the score (just no onset at/after it)
+
+      if (Array.isArray(anchor.ids) && anchor.ids.length) {
+        const hits = anchor.ids.map(stepIndexForNote).filter((n) => n > 0);
+        step = hits.length ? Math.min(...hits) : 0;
+      } else if (anchor.measure !== undefined) {
+        const m = measureStarts.get(String(anchor.measure));
+        if (m && Number.isFinite(m.qstamp)) {
+          // beats count in the time signature's unit (3/4: quarters, 6/8: eighths)
+          const unit = meterUnitByMeasureId.get(m.measureId) || 4;
+          step = firstStepAtOrAfter("qstamp", m.qstamp + (Number(anchor.beat || 1) - 1) * (4 / unit));
+          known = true;
+        }
+      } else if (Number.isFinite(anchor.time)) {
+        step = firstStepAtOrAfter("tstamp", anchor.time * 1000);
+        known = true;
+      }
+
+      if (step) return step;
+      if (known && isEnd) return harmonicSteps.length + 1;
+      debugReport(`[analysis] ${where}: ${JSON.stringify(anchor)} not found in the score`);
+      return null;
+    }
+
+    function computeAnalysisSpans() {
+      if (!analysis) return [];
+      const n = harmonicSteps.length;
+
+      if (!analysisIsAnchored()) {
+        return analysis.steps.slice(0, n).map((_, i) => ({ entryIndex: i, startStep: i + 1, endStep: i + 1 }));
+      }
+
+      const starts = [];
+      let prev = 0;
+      analysis.steps.forEach((entry, i) => {
+        const at = entry && typeof entry === "object" ? entry.at : null;
+        const start = at ? resolveAnchor(at, `steps[${i}].at`, false) : prev + 1;
+        if (start && start <= prev) debugReport(`[analysis] steps[${i}] starts at or before steps[${i - 1}]`);
+        starts.push(start);
+        if (start) prev = start;
+      });
+
+      const spans = [];
+      analysis.steps.forEach((entry, i) => {
+        const start = starts[i];
+        if (!start || start > n) return;
+
+        const next = starts.slice(i + 1).find((s) => s && s > start);
+        let end = next ? next - 1 : n;
+        if (entry && entry.until) {
+          const until = resolveAnchor(entry.until, `steps[${i}].until`, true);
+          if (until) end = until - 1;
+        }
+
+        spans.push({ entryIndex: i, startStep: start, endStep: clampInt(end, start, n) });
+      });
+
+      if (DEBUG) {
+        spans.forEach((sp) => log(`[analysis] steps[${sp.entryIndex}] -> step ${sp.startStep}${sp.endStep > sp.startStep ? `..${sp.endStep}` : ""}`));
+      }
+      return spans;
+    }
+
+    function spanForStep(stepIndex) {
+      // Latest-starting span wins where "until" makes spans overlap
+      for (let i = analysisSpans.length - 1; i >= 0; i--) {
+        const sp = analysisSpans[i];
+        if (stepIndex >= sp.startStep && stepIndex <= sp.endStep) return sp;
+      }
+      return null;
+    }
+
+    function analysisEntryForStep(stepIndex) {
+      const sp = spanForStep(stepIndex);
+      const entry = sp ? analysis.steps[sp.entryIndex] : null;
+      return entry && typeof entry === "object" ? entry : null;
+    }
+
+    // ---------------------------
+    // Analysis schema validation
+    // Small JSON Schema subset (type, enum, pattern, minimum/maximum, minItems, required,
+    // properties, additionalProperties, items, anyOf, local $ref) — enough for schemas/analysis.schema.json
+    // ---------------------------
+    let analysisSchemaPromise = null;
+
+    function loadAnalysisSchema() {
+      if (!analysisSchemaPromise) {
+        analysisSchemaPromise = fetch(ANALYSIS_SCHEMA_URL)
+          .then((r) => (r.ok ? r.json() : null))
+          .catch(() => null);
+      }
+      return analysisSchemaPromise;
+    }
+
+    async function validateAnalysis(j) {
+      const schema = await loadAnalysisSchema();
+      if (!schema) {
+        log("[analysis] schema not available, skipping validation:", ANALYSIS_SCHEMA_URL);
+        return [];
+      }
+      return validateJson(j, schema, schema, "");
+    }
+
+    function jsonTypeMatches(value, type) {
+      switch (type) {
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "array": return Array.isArray(value);
+        case "integer": return Number.isInteger(value);
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "null": return value === null;
+        default: return typeof value === type;
+      }
+    }
+
+    function resolveSchemaRef(root, ref) {
+      if (!ref.startsWith("#/")) return null;
+      return ref.slice(2).split("/").reduce((node, key) => (node ? node[key] : null), root);
+    }
+
+    function validateJson(value, schema, root, path) {
+      const at = path || "(root)";
+
+      if (schema.$ref) {
+        const target = resolveSchemaRef(root, schema.$ref);
+        return target ? validateJson(value, target, root, path) : [`${at}: unresolved ${schema.$ref}`];
+      }
+
+      if (schema.anyOf && !schema.anyOf.some((s) => validateJson(value, s, root, path).length === 0)) {
+        return [`${at}: does not match any allowed form`];
+      }
+
+      if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some((t) => jsonTypeMatches(value, t))) return [`${at}: expected ${types.join(" or ")}`];
+      }
+
+      const errors = [];
+
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+      }
+
+      if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at}: "${value}" is not valid`);
+      }
+
+      if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be ≥ ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be ≤ ${schema.maximum}`);
+      }
+
+      if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+          value.forEach((v, i) => errors.push(...validateJson(v, schema.items, root, `${path}[${i}]`)));
+        }
+      }
+
+      if (jsonTypeMatches(value, "object")) {
+        const props = schema.properties || {};
+        for (const key of schema.required || []) {
+          if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+        }
+        for (const [key, v] of Object.entries(value)) {
+          const childPath = path ? `${path}.${key}` : key;
+          if (props[key]) {
+            errors.push(...validateJson(v, props[key], root, childPath));
+          } else if (schema.additionalProperties === false) {
+            errors.push(`${at}: unknown property "${key}"`);
+          } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+            errors.push(...validateJson(v, schema.additionalProperties, root, childPath));
+          }
+        }
+      }
+
+      return errors;
+    }
+
+  
+    function spanContains(span, stepIndex) {
+      return stepIndex >= span.startStep && stepIndex <= span.endStep;
+    }
+
+    function labelVisible(span, currentStep) {
+      if (labelMode === "all") return true;
+      if (labelMode === "reveal") return span.startStep <= currentStep;
+      return spanContains(span, currentStep);
+    }
+
+    function viewerFrame() {
+      // #viewer on screen and its CSS scale (Reveal scales whole slides with a transform).
+      // Label positions and baselines are kept in the viewer's own pixels, relative to the score,
+      // so page scrolling and scaling don't move them; only a re-layout does.
+      const r = elViewer.getBoundingClientRect();
+      const scale = elViewer.offsetWidth ? r.width / elViewer.offsetWidth : 1;
+      return { left: r.left, top: r.top, scale: scale || 1 };
+    }
+
+    function labelPositionForSpan(span, frame) {
+      // Under the span's first onset; the first rendered one if that is on another page
+      for (let i = span.startStep; i <= span.endStep; i++) {
+        const pos = labelPositionForStep(i, frame);
+        if (pos) return pos;
+      }
+      return null;
+    }
+
+    function labelPositionForStep(stepIndex, frame) {
+      // Centre on the notes that start at this step (held notes would pull the label left)
+      const info = stepInfo[stepIndex - 1];
+      const ids = info && info.onIds.length ? info.onIds : harmonicSteps[stepIndex - 1] || [];
+      const rects = [];
+
+      for (const id of ids) {
+        const g = elScore.querySelector(`#${cssEscape(id)}`);
+        if (!g) continue;
+        rects.push(g.getBoundingClientRect());
+      }
+
+      // Not rendered (e.g. on another page)
+      if (!rects.length) return null;
+
+      // Horizontal center of the chord
+      const cx =
+        rects.reduce((s, r) => s + (r.left + r.right) / 2, 0) / rects.length;
+
+      // Shared baseline (one per system in wrapped layouts), already in viewer coordinates
+      const baselineY = analysisBaselineFor(ids);
+      if (baselineY === null) return null;
+
+      // Convert screen → viewer coordinates
+      return { left: (cx - frame.left) / (frame.scale || 1), top: baselineY + 6 };
+    }
+
+    function createAnalysisLabel(step, span, pos, isCurrent) {
+      const label = document.createElement("div");
+      label.className = "analysis-label";
+      label.classList.toggle("is-current", isCurrent);
+      label.dataset.step = String(span.startStep);
+      label.dataset.entry = String(span.entryIndex);
+      label.classList.toggle("is-unanalysed", span.entryIndex < 0); // blank sheet: Stufe and function boxes
+      label.style.left = `${pos.left}px`;
+      label.style.top = `${pos.top}px`;
+
+      const color = entryColor(step);
+      if (color) label.style.setProperty("--hv-color", color);
+
+      const elStufe = document.createElement("div");
+      elStufe.className = "analysis-stufe";
+      if (!step.stufe && Array.isArray(step.figures)) {
+        renderFigures(elStufe, step.figures);
+      } else if (!step.stufe && analysisSource === "auto") {
+        // analysis=auto could not name this sonority
+        label.classList.add("is-unrecognised");
+        label.title = step.comment || "";
+        elStufe.textContent = "?";
+      } else {
+        renderRomanNumeral(elStufe, transposeLabelText(step.stufe || ""));
+      }
+
+      // ✅ Stack function below Stufe
+      const elFunc = document.createElement("div");
+      elFunc.className = "analysis-function";
+      elFunc.textContent = step.function || "";
+      elFunc.style.top = `${FUNCTION_OFFSET_Y}px`;
+
+      label.append(elStufe, elFunc);
+      return label;
+    }
+
+    function updateAnalysisOverlay(stepIndex) {
+      if (!elOverlay) return;
+      elOverlay.textContent = "";
+
+      // Blank boxes also go under every step of a score without analysis (exercise sheets)
+      const hasAnalysis = !!(analysis && analysis.steps);
+      if (!hasAnalysis && !blankBoxesShown) {
+        elOverlay.hidden = true;
+        return;
+      }
+      const spans = hasAnalysis
+        ? analysisSpans
+        : harmonicSteps.map((_, i) => ({ entryIndex: -1, startStep: i + 1, endStep: i + 1 }));
+
+      const frame = viewerFrame();
+      let shown = 0;
+
+      for (const span of spans) {
+        if (!labelVisible(span, stepIndex)) continue;
+
+        const step = hasAnalysis ? analysis.steps[span.entryIndex] : {};
+        if (!step || typeof step !== "object") continue;
+
+        const pos = labelPositionForSpan(span, frame);
+        if (!pos) continue;
+
+        elOverlay.appendChild(createAnalysisLabel(step, span, pos, spanContains(span, stepIndex)));
+        shown++;
+      }
+
+      // Emphasise the current label only when there is one (labels=all with nothing selected stays neutral)
+      elOverlay.classList.toggle("has-current", stepIndex > 0);
+      elOverlay.hidden = shown === 0;
+    }
+
+    function setLabelMode(mode) {
+      if (!LABEL_MODES.includes(mode) || mode === labelMode) return;
+      labelMode = mode;
+      log("[analysis] label mode:", labelMode);
+      applySvgHighlight(highlightedStep);
+      updateAnalysisOverlay(highlightedStep);
+      notifyParentOfHeight();
+      if (viewerReady) emit("label-mode-changed", { labelMode });
+    }
+
+    function analysisBaselineFor(ids) {
+      // viewer-relative Y of the label baseline for the system holding these notes
+      if (IS_WRAPPED) {
+        const g = ids.length ? elScore.querySelector(`#${cssEscape(ids[0])}`) : null;
+        const system = g ? g.closest("g.system") : null;
+        if (system && systemBaselines.has(system.getAttribute("id"))) {
+          return systemBaselines.get(system.getAttribute("id"));
+        }
+      }
+
+      return globalAnalysisBaselineY;
+    }
+
+    function computeSystemBaselines() {
+      // One baseline per system: below its lowest notehead, relative to #viewer (scroll-safe)
+      const baselines = new Map();
+      const frame = viewerFrame();
+
+      for (const system of elScore.querySelectorAll("g.system[id]")) {
+        let maxBottom = -Infinity;
+        for (const nh of system.querySelectorAll(".notehead, g.note")) {
+          maxBottom = Math.max(maxBottom, nh.getBoundingClientRect().bottom);
+        }
+        if (isFinite(maxBottom)) baselines.set(system.getAttribute("id"), (maxBottom - frame.top) / frame.scale + 10);
+      }
+
+      return baselines;
+    }
+
+    function computeGlobalAnalysisBaselineY() {
+      // Below the lowest notehead of the score, relative to #viewer (like the system baselines)
+      const svg = elScore.querySelector("svg");
+      if (!svg) return null;
+
+      const noteheads = elScore.querySelectorAll(".notehead, g.note");
+      let maxBottom = -Infinity;
+
+      for (const nh of noteheads) {
+        const rect = nh.getBoundingClientRect();
+        if (rect.bottom > maxBottom) {
+          maxBottom = rect.bottom;
+        }
+      }
+
+      if (!isFinite(maxBottom)) return null;
+
+      // Padding below the lowest notehead (adjust if needed)
+      const frame = viewerFrame();
+      return (maxBottom - frame.top) / frame.scale + 10;
+    }
+
+
+
+    // ---------------------------
+    // Roman numerals (Stufe) -> structured form -> typeset output
+    //   "G: V65/V"  -> { key:{letter:"G",accidental:""}, chords:[{numeral:"V",figures:["6","5"]}, {numeral:"V"}] }
+    //   qualities: o/° diminished, ø/% half-diminished, + augmented; specials: N, Cad, It, Fr, Ger
+    // The parse is shared by every renderer (HTML overlay here, SVG for exports).
+    // Strings that don't parse are shown as plain text (debug warning once per string).
+    // ---------------------------
+    const RN_CHORD_RE =
+      /^([#♯b♭]*)(?:(VII|III|IV|VI|II|V|I|vii|iii|iv|vi|ii|v|i)|(Cad|N|It|Fr|Ger))([o°ø%+]?)((?:[#♯b♭n♮]?\d)*)$/;
+    const RN_DEGREES = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7 };
+    const RN_ACCIDENTAL_SYMBOLS = { "#": "♯", "♯": "♯", b: "♭", "♭": "♭", "-": "♭", n: "♮", "♮": "♮" };
+    const RN_QUALITY_SYMBOLS = { diminished: "°", "half-diminished": "ø", augmented: "+" };
+    const romanCache = new Map();
+
+    function normalizeAccidentals(s) {
+      return Array.from(s || "").map((c) => RN_ACCIDENTAL_SYMBOLS[c] || c).join("");
+    }
+
+    function parseRomanChord(s) {
+      const m = s.match(RN_CHORD_RE);
+      if (!m) return null;
+
+      const [, accidental, numeral, special, qualityMark, figureText] = m;
+      let quality = null;
+      if (numeral) quality = numeral === numeral.toUpperCase() ? "major" : "minor";
+      if (qualityMark === "o" || qualityMark === "°") quality = "diminished";
+      if (qualityMark === "ø" || qualityMark === "%") quality = "half-diminished";
+      if (qualityMark === "+") quality = "augmented";
+
+      return {
+        accidental: normalizeAccidentals(accidental),
+        numeral: numeral || special,
+        degree: numeral ? RN_DEGREES[numeral.toLowerCase()] : null,
+        special: special || null,
+        quality,
+        // "65" -> ["6","5"], "7b9" -> ["7","♭9"], "13" stays one figure
+        figures: (figureText.match(/[#♯b♭n♮]?(?:1[0-3]|\d)/g) || []).map(normalizeAccidentals),
+      };
+    }
+
+    function parseRomanNumeral(text) {
+      let rest = String(text || "").trim();
+      if (!rest) return null;
+
+      // Key-change prefix: "G: I", "f#: V", "Bb:" (uppercase major, lowercase minor)
+      let key = null;
+      const km = rest.match(/^([A-Ga-g])([#♯b♭-]?)\s*:\s*/);
+      if (km) {
+        key = { letter: km[1], accidental: normalizeAccidentals(km[2]) };
+        rest = rest.slice(km[0].length);
+      }
+
+      // Applied chords: "V7/V", "viio7/V/V"
+      const chords = [];
+      for (const part of rest.split("/")) {
+        const chord = parseRomanChord(part.trim());
+        if (!chord) return null;
+        chords.push(chord);
+      }
+      return { key, chords };
+    }
+
+    function parseRomanNumeralCached(text) {
+      if (!romanCache.has(text)) {
+        const parsed = parseRomanNumeral(text);
+        if (!parsed && String(text).trim()) {
+          debugReport(`[analysis] could not parse Roman numeral "${text}", showing it as plain text`);
+        }
+        romanCache.set(text, parsed);
+      }
+      return romanCache.get(text);
+    }
+
+    function romanChordToHtml(chord) {
+      const el = document.createElement("span");
+      el.className = "rn-chord";
+
+      const numeral = document.createElement("span");
+      numeral.className = "rn-numeral";
+      numeral.textContent = chord.accidental + chord.numeral;
+      el.appendChild(numeral);
+
+      if (RN_QUALITY_SYMBOLS[chord.quality]) {
+        const q = document.createElement("span");
+        q.className = "rn-quality";
+        q.textContent = RN_QUALITY_SYMBOLS[chord.quality];
+        el.appendChild(q);
+      }
+
+      if (chord.figures.length) {
+        // Figured-bass style: figures stacked top to bottom as superscripts
+        const figs = document.createElement("span");
+        figs.className = "rn-figures";
+        for (const f of chord.figures) {
+          const fig = document.createElement("span");
+          fig.textContent = f;
+          figs.appendChild(fig);
+        }
+        el.appendChild(figs);
+      }
+
+      return el;
+    }
+
+    function renderRomanNumeral(target, text) {
+      const parsed = parseRomanNumeralCached(text);
+      target.textContent = "";
+      target.classList.toggle("rn", !!parsed);
+      if (!parsed) {
+        target.textContent = text;
+        return;
+      }
+
+      if (parsed.key) {
+        const key = document.createElement("span");
+        key.className = "rn-key";
+        key.textContent = `${parsed.key.letter}${parsed.key.accidental}:`;
+        target.appendChild(key);
+      }
+
+      parsed.chords.forEach((chord, i) => {
+        if (i > 0) {
+          const slash = document.createElement("span");
+          slash.className = "rn-slash";
+          slash.textContent = "/";
+          target.appendChild(slash);
+        }
+        target.appendChild(romanChordToHtml(chord));
+      });
+    }
+
+    function renderFigures(target, figures) {
+      // Figured bass without a numeral (MusicXML <figured-bass>, MEI <fb>): just the stacked figures
+      target.textContent = "";
+      target.classList.add("rn");
+      target.appendChild(romanChordToHtml({ accidental: "", numeral: "", quality: null, figures: figures.map(normalizeAccidentals) }));
+    }
+
+    // ---------------------------
+    // Step colours (per step, or per function with a palette from the analysis JSON)
+    // ---------------------------
+    function resolveColorMode() {
+      if (COLOR_MODES.includes(colorsParamRaw)) return colorsParamRaw;
+      const fromFile = analysis && String(analysis.colorBy || "").toLowerCase();
+      return COLOR_MODES.includes(fromFile) ? fromFile : "step";
+    }
+
+    function functionColor(fn) {
+      // Exact key first ("Tp", "DD"), then the main function letter ("(D)" -> D, "Sp" -> S)
+      const palette = { ...DEFAULT_FUNCTION_PALETTE, ...((analysis && analysis.palette) || {}) };
+      const label = String(fn || "").trim();
+      if (!label) return null;
+      if (palette[label]) return palette[label];
+
+      const m = label.match(/[TSDtsd]/);
+      return m ? palette[m[0].toUpperCase()] || null : null;
+    }
+
+    function entryColor(entry) {
+      if (colorMode === "mono" || !entry) return null;
+      return colorMode === "function" ? functionColor(entry.function) : entry.color || null;
+    }
+
+    function stepColor(stepIndex) {
+      if (!analysis) return null;
+      return entryColor(analysisEntryForStep(stepIndex));
+    }
+
+    // ---------------------------
+    // SVG highlight (CSS classes on note groups, colour via --hv-color)
+    //   .hv-highlight  current step
+    //   .hv-past       earlier steps in labels=reveal / labels=all (same colour, reduced intensity)
+    // ---------------------------
+    function markStepNotes(stepIndex, className) {
+      const color = stepColor(stepIndex);
+      for (const id of harmonicSteps[stepIndex - 1] || []) {
+        const g = elScore.querySelector(`#${cssEscape(id)}`);
+        if (!g) continue;
+        g.classList.add(className);
+        if (color) g.style.setProperty("--hv-color", color);
+        else g.style.removeProperty("--hv-color");
+      }
+    }
+
+    function applySvgHighlight(stepIndex) {
+      const svgEl = elScore.querySelector("svg");
+      if (!svgEl) return;
+
+      elScore.querySelectorAll(".hv-highlight, .hv-past").forEach((n) => {
+        n.classList.remove("hv-highlight", "hv-past");
+        n.style.removeProperty("--hv-color");
+      });
+      if (stepIndex <= 0) return;
+
+      if (analysis && labelMode !== "current") {
+        for (let i = 1; i < stepIndex; i++) markStepNotes(i, "hv-past");
+      }
+
+      // Current step wins over earlier ones (held notes)
+      for (const id of harmonicSteps[stepIndex - 1] || []) {
+        const g = elScore.querySelector(`#${cssEscape(id)}`);
+        if (g) g.classList.remove("hv-past");
+      }
+      markStepNotes(stepIndex, "hv-highlight");
+    }
+
+    function highlightStep(stepIndex) {
+      if (destroyed) return; // late timers (quiz advance, digits) after destroy()
+      highlightedStep = clampInt(stepIndex, 0, harmonicSteps.length);
+      if (DEBUG) console.log("[highlightStep]", highlightedStep);
+
+      followStep(highlightedStep);
+      applySvgHighlight(highlightedStep);
+      updateAnalysisOverlay(highlightedStep);
+
+      // Only the ACTIVE viewer makes sound
+      if (isActiveViewer && highlightedStep > 0) {
+        if (SOUND_MIDI) sendStepNotesAsMidi(highlightedStep);
+        if (SOUND_AUDIO) playStepAudio(highlightedStep);
+      } else {
+        releaseMidiNotes();
+        stopAudio();
+      }
+      sendCurrentStepCc(highlightedStep);
+      if (isPlaying()) scheduleNextStep(); // manual jumps while playing: time the next step from here
+      if (QUIZ_MODE) resetQuizAttempt();
+      if (EDIT_MODE) renderEditor();
+      if (viewerReady) emit("step-changed", stepState(highlightedStep));
+
+      notifyParentOfHeight();
+    }
+
+    // ---------------------------
+    // Pitch computation
+    // Primary source: Verovio's own MEI (vrvToolkit.getMEI()), walked once per load in document
+    // order so we can resolve accid.ges, key signatures, accidentals earlier in the bar,
+    // pname.ges/oct.ges, transposing staves (trans.semi/trans.diat) and ties.
+    // Fallback: vrvToolkit.getElementAttr(noteId) -> returns object with pname/oct etc
+    // ---------------------------
+    const PNAMES = ["c", "d", "e", "f", "g", "a", "b"];
+    const SHARP_ORDER = ["f", "c", "g", "d", "a", "e", "b"];
+
+    function pnameToSemitone(pname) {
+      // pname is "c d e f g a b"
+      switch (String(pname).toLowerCase()) {
+        case "c": return 0;
+        case "d": return 2;
+        case "e": return 4;
+        case "f": return 5;
+        case "g": return 7;
+        case "a": return 9;
+        case "b": return 11;
+        default: return null;
+      }
+    }
+
+    function midiFromPnameOct(pname, oct, alter = 0) {
+      const semi = pnameToSemitone(pname);
+      if (semi === null) return null;
+      const o = Number(oct);
+      if (!Number.isFinite(o)) return null;
+
+      // MEI oct is scientific (C4 = 60)
+      // MIDI: C4 = 60 => (oct+1)*12 + semi
+      return (o + 1) * 12 + semi + (Number(alter) || 0);
+    }
+
+    function accidToAlter(accid) {
+      // MEI data.ACCIDENTAL.WRITTEN / GESTURAL; quarter tones are not representable in MIDI -> null
+      switch (String(accid || "").toLowerCase()) {
+        case "n": return 0;
+        case "s": case "ns": return 1;
+        case "f": case "nf": return -1;
+        case "ss": case "x": case "xs": case "sx": return 2;
+        case "ff": return -2;
+        case "ts": return 3;
+        case "tf": return -3;
+        default: return null;
+      }
+    }
+
+    function spellPitch(pname, oct, alter = 0) {
+      const acc = alter > 0 ? "#".repeat(alter) : "b".repeat(-alter);
+      return `${String(pname).toUpperCase()}${acc}${oct}`;
+    }
+
+    function spellSounding(pname, oct, alter, transSemi, transDiat) {
+      // Written pitch -> sounding spelling (e.g. Bb clarinet: written D4 -> C4)
+      if (!transSemi) return spellPitch(pname, oct, alter);
+
+      const diat = Number.isFinite(transDiat) ? transDiat : Math.round((transSemi * 7) / 12);
+      const idx = PNAMES.indexOf(pname) + diat;
+      const letter = PNAMES[((idx % 7) + 7) % 7];
+      const o = Number(oct) + Math.floor(idx / 7);
+      const target = midiFromPnameOct(pname, oct, alter) + transSemi;
+      return spellPitch(letter, o, target - midiFromPnameOct(letter, o));
+    }
+
+    function keySigToAlters(sig) {
+      // keySig@sig / staffDef@keysig: "0", "3s", "2f" ("mixed" handled via <keyAccid>)
+      const alters = {};
+      const m = String(sig || "").match(/^(\d+)([sf])$/);
+      if (!m) return alters;
+
+      const order = m[2] === "s" ? SHARP_ORDER : SHARP_ORDER.slice().reverse();
+      for (let i = 0; i < Math.min(7, Number(m[1])); i++) {
+        alters[order[i]] = m[2] === "s" ? 1 : -1;
+      }
+      return alters;
+    }
+
+    function keySigElementToAlters(el) {
+      const alters = keySigToAlters(el.getAttribute("sig"));
+      for (const ka of Array.from(el.getElementsByTagName("keyAccid"))) {
+        const pname = ka.getAttribute("pname");
+        const alter = accidToAlter(ka.getAttribute("accid"));
+        if (pname && alter !== null) alters[pname] = alter;
+      }
+      return alters;
+    }
+
+    function keySigAttr(el) {
+      // MEI 5 @keysig, MEI 4 @key.sig (scoreDef / staffDef)
+      return el.hasAttribute("keysig") ? el.getAttribute("keysig") : el.getAttribute("key.sig");
+    }
+
+    function meiIdRef(ref) {
+      return String(ref || "").replace(/^#/, "");
+    }
+
+    function buildScoreIndexFromMei(meiText) {
+      const index = new Map();
+      const meterUnits = new Map(); // measureId -> meter unit
+      const harms = []; // { id, measure, seq, tstamp, startid, staff, type, text, figures }
+      let key = null; // first key signature: { fifths, mode } (mode null when the score doesn't say)
+
+      const doc = new DOMParser().parseFromString(meiText, "application/xml");
+      if (!doc || doc.getElementsByTagName("parsererror").length) return { notes: index, meterUnits, harms, key };
+      const music = doc.getElementsByTagName("music")[0] || doc.documentElement;
+
+      // Pass 1: tie continuations (tie@endid -> tie@startid)
+      const tieStartOf = new Map();
+      for (const t of Array.from(music.getElementsByTagName("tie"))) {
+        const end = meiIdRef(t.getAttribute("endid"));
+        if (end) tieStartOf.set(end, meiIdRef(t.getAttribute("startid")));
+      }
+
+      // Pass 2: walk in document order, tracking key / transposition per staff and bar accidentals
+      let globalKey = {};
+      const staffKey = new Map(); // staff n -> { pname: alter }
+      const staffTrans = new Map(); // staff n -> { semi, diat }
+      const barAccids = new Map(); // "staff:pnameOct" -> alter (reset every measure)
+      let meterUnit = 4;
+      let measureN = null;
+      let measureSeq = -1;
+
+      function applyMeter(el) {
+        // scoreDef/staffDef@meter.unit, <meterSig unit>
+        const unit = Number(el.getAttribute(el.localName === "meterSig" ? "unit" : "meter.unit"));
+        if (unit > 0) meterUnit = unit;
+      }
+
+      function noteFirstKey(el, sig) {
+        const m = String(sig || "").match(/^(\d+)([sf])$|^0$/);
+        if (key || !m) return;
+        key = {
+          fifths: m[1] ? Number(m[1]) * (m[2] === "s" ? 1 : -1) : 0,
+          mode: el.getAttribute("mode") || el.getAttribute("key.mode") || null,
+        };
+      }
+
+      function setKey(staffN, alters) {
+        if (staffN) {
+          staffKey.set(staffN, alters);
+        } else {
+          globalKey = alters;
+          staffKey.clear();
+        }
+      }
+
+      function applyStaffDef(def, staffN) {
+        if (keySigAttr(def) !== null) {
+          setKey(staffN, keySigToAlters(keySigAttr(def)));
+          noteFirstKey(def, keySigAttr(def));
+        }
+
+        const semi = def.getAttribute("trans.semi");
+        const diat = def.getAttribute("trans.diat");
+        if (staffN && (semi !== null || diat !== null)) {
+          staffTrans.set(staffN, { semi: Number(semi) || 0, diat: diat === null ? NaN : Number(diat) });
+        }
+      }
+
+      function handleNote(note, staffN) {
+        const id = note.getAttribute("xml:id");
+        const pname = (note.getAttribute("pname") || "").toLowerCase();
+        const oct = note.getAttribute("oct");
+        if (!id || !pname || oct === null) return;
+
+        const accidEl = Array.from(note.children).find((c) => c.localName === "accid");
+        const written = accidToAlter(note.getAttribute("accid") || (accidEl && accidEl.getAttribute("accid")));
+        const gestural = accidToAlter(note.getAttribute("accid.ges") || (accidEl && accidEl.getAttribute("accid.ges")));
+
+        const chord = note.parentElement && note.parentElement.localName === "chord" ? note.parentElement : null;
+        const tieAttr = note.getAttribute("tie") || (chord && chord.getAttribute("tie")) || "";
+        const tieStart = tieStartOf.has(id) ? index.get(tieStartOf.get(id)) : null;
+        const tied = tieStartOf.has(id) || /[mt]/.test(tieAttr);
+
+        const barKey = `${staffN}:${pname}${oct}`;
+        let alter;
+        if (gestural !== null) alter = gestural;
+        else if (written !== null) alter = written;
+        else if (tieStart) alter = tieStart.alter;
+        else if (barAccids.has(barKey)) alter = barAccids.get(barKey);
+        else alter = (staffKey.get(staffN) || globalKey)[pname] || 0;
+
+        if (written !== null) barAccids.set(barKey, written);
+
+        // @pname.ges / @oct.ges override the written pitch for playback only (spelling stays written)
+        const hasGesPitch = note.hasAttribute("pname.ges") || note.hasAttribute("oct.ges");
+        const midi = hasGesPitch
+          ? midiFromPnameOct(
+            note.getAttribute("pname.ges") || pname,
+            note.getAttribute("oct.ges") || oct,
+            gestural !== null ? gestural : 0
+          )
+          : midiFromPnameOct(pname, oct, alter);
+        if (midi === null) return;
+
+        const trans = staffTrans.get(staffN) || { semi: 0, diat: NaN };
+        index.set(id, {
+          midi: midi + trans.semi,
+          name: spellSounding(pname, oct, alter, trans.semi, trans.diat),
+          staff: staffN ? Number(staffN) : null,
+          tied,
+          grace: note.hasAttribute("grace") || !!(chord && chord.hasAttribute("grace")),
+          alter,
+        });
+      }
+
+      function handleHarm(harm) {
+        // <harm>text</harm> (Roman numeral / function) or <harm><fb><f>6</f>...</fb></harm> (figured bass)
+        const fb = Array.from(harm.getElementsByTagName("f"));
+        harms.push({
+          id: harm.getAttribute("xml:id"),
+          measure: measureN,
+          seq: measureSeq,
+          tstamp: Number(harm.getAttribute("tstamp")),
+          startid: meiIdRef(harm.getAttribute("startid")),
+          staff: harm.getAttribute("staff"),
+          type: harm.getAttribute("type"),
+          text: fb.length ? "" : harm.textContent.replace(/\s+/g, ""), // "V<rend>6</rend> <rend>4</rend>" -> "V64"
+          figures: fb.map((f) => f.textContent.replace(/\s+/g, "")).filter(Boolean),
+        });
+      }
+
+      function walk(el, staffN) {
+        for (const child of Array.from(el.children)) {
+          switch (child.localName) {
+            case "scoreDef":
+              if (keySigAttr(child) !== null) {
+                setKey(null, keySigToAlters(keySigAttr(child)));
+                noteFirstKey(child, keySigAttr(child));
+              }
+              applyMeter(child);
+              walk(child, null);
+              break;
+            case "staffDef": {
+              const n = child.getAttribute("n");
+              applyStaffDef(child, n);
+              applyMeter(child);
+              walk(child, n);
+              break;
+            }
+            case "keySig":
+              setKey(staffN, keySigElementToAlters(child));
+              noteFirstKey(child, child.getAttribute("sig"));
+              break;
+            case "meterSig":
+              applyMeter(child);
+              break;
+            case "measure":
+              barAccids.clear();
+              measureN = child.getAttribute("n");
+              measureSeq++;
+              if (child.getAttribute("xml:id")) meterUnits.set(child.getAttribute("xml:id"), meterUnit);
+              walk(child, staffN);
+              break;
+            case "staff":
+              walk(child, child.getAttribute("n"));
+              break;
+            case "note":
+              handleNote(child, staffN);
+              break;
+            case "harm":
+              handleHarm(child);
+              break;
+            default:
+              walk(child, staffN);
+          }
+        }
+      }
+
+      walk(music, null);
+      return { notes: index, meterUnits, harms, key };
+    }
+
+    function buildScoreIndex() {
+      const empty = { notes: new Map(), meterUnits: new Map(), harms: [], key: null };
+      if (!vrvToolkit || typeof vrvToolkit.getMEI !== "function") return empty;
+      try {
+        return buildScoreIndexFromMei(vrvToolkit.getMEI());
+      } catch (e) {
+        warn("[pitches] could not read MEI, falling back to getElementAttr:", e);
+        return empty;
+      }
+    }
+
+    function noteInfoFromToolkit(noteId) {
+      try {
+        const attr = vrvToolkit.getElementAttr(noteId);
+        // Your build returns an object with keys: pname, oct, etc.
+        const pname = attr && (attr["pname.ges"] || attr.pname || (attr.pitch && attr.pitch.pname));
+        const oct = attr && (attr["oct.ges"] || attr.oct || (attr.pitch && attr.pitch.oct));
+        const alter = accidToAlter(attr && (attr["accid.ges"] || attr.accid)) || 0;
+
+        const midi = midiFromPnameOct(pname, oct, alter);
+        if (!Number.isFinite(midi)) return null;
+        return { midi, name: spellPitch(pname, oct, alter), staff: null, tied: /[mt]/.test(attr.tie || ""), grace: !!attr.grace, alter };
+      } catch (e) {
+        return null; // ignore missing
+      }
+    }
+
+    function stepChord(stepIndex) {
+      // The whole sounding chord (tied and held notes included), unlike the re-struck stepPitches
+      const nameByMidi = new Map();
+      for (const n of stepNotes[stepIndex - 1] || []) {
+        if (Number.isFinite(n.midi) && !nameByMidi.has(n.midi)) nameByMidi.set(n.midi, n.name);
+      }
+      const pitches = Array.from(nameByMidi.keys()).sort((a, b) => a - b);
+      return { pitches, names: pitches.map((m) => nameByMidi.get(m)) };
+    }
+
+    function computeStepPitches() {
+      if (!vrvToolkit) return;
+
+      stepNotes = harmonicSteps.map((ids, idx) => {
+        const heldIds = (stepInfo[idx] && stepInfo[idx].heldIds) || [];
+        const notes = [];
+        for (const noteId of ids) {
+          const info = noteInfoById.get(noteId) || noteInfoFromToolkit(noteId);
+          if (info) notes.push({ id: noteId, ...info, held: heldIds.includes(noteId) });
+        }
+        return notes;
+      });
+
+      stepPitches = [];
+      stepPitchNames = [];
+      stepNotes.forEach((notes, idx) => {
+        // unique + sorted; tied continuations and held notes keep sounding but are not re-triggered
+        const nameByMidi = new Map();
+        for (const n of notes) {
+          if (!n.tied && !n.held && !nameByMidi.has(n.midi)) nameByMidi.set(n.midi, n.name);
+        }
+        const uniq = Array.from(nameByMidi.keys()).sort((a, b) => a - b);
+
+        stepPitches[idx] = uniq;
+        stepPitchNames[idx] = uniq.map((m) => nameByMidi.get(m));
+        if (DEBUG) console.log(`Step ${idx + 1} pitches:`, uniq, stepPitchNames[idx]);
+      });
+    }
+
+    // ---------------------------
+    // MIDI (WebMIDI)
+    // ---------------------------
+    function sendCC(cc, value, channel = 0) {
+      if (!midiOut) return;
+      const v = clampInt(value, 0, 127);
+      const status = 0xb0 | (channel & 0x0f);
+      midiOut.send([status, cc & 0x7f, v]);
+    }
+
+    function sendStepCountCc() {
+      if (!isActiveViewer) return;
+
+      const count = harmonicSteps.length;
+      sendMapped("stepCount", count);
+
+      if (DEBUG) console.log(`Sent step count (${describeMidiBinding(midiMap.out.stepCount)}):`, count);
+    }
+
+    function sendCurrentStepCc(stepIndex) {
+      if (!isActiveViewer || !midiMap.out.step) return;
+      sendMapped("step", stepIndex);
+    }
+
+    function sendSlideIndexCc(index) {
+      if (!isActiveViewer) return;
+      sendMapped("slide", index);
+      if (DEBUG) console.log(`Sent slide index (${describeMidiBinding(midiMap.out.slide)}):`, index);
+    }
+
+    // ---------------------------
+    // MIDI control map (midimap=...)
+    // Binding: { cc, channel, resolution: "7bit" | "14bit" } or { nrpn, channel }
+    //   14bit: value = MSB on cc, LSB on cc+32 (applied when the LSB arrives), 0..16383
+    //   nrpn:  CC99/CC98 select the parameter, CC6/CC38 carry MSB/LSB (applied on CC38)
+    //   channel 1..16; inputs without a channel listen on all channels, outputs default to 1
+    // ---------------------------
+    function normalizeMidiBinding(b, where, isInput) {
+      if (b === null || b === false) return null;
+      if (typeof b === "number") b = { cc: b };
+      if (!b || typeof b !== "object") {
+        debugReport(`[midimap] ${where}: expected a CC number or an object`);
+        return null;
+      }
+
+      const binding = {
+        cc: Number.isInteger(b.cc) ? clampInt(b.cc, 0, 127) : null,
+        nrpn: Number.isInteger(b.nrpn) ? clampInt(b.nrpn, 0, 16383) : null,
+        channel: b.channel === undefined || b.channel === null ? (isInput ? null : 0) : clampInt(b.channel, 1, 16) - 1,
+        resolution: b.nrpn !== undefined || b.resolution === "14bit" ? "14bit" : "7bit",
+      };
+      if (binding.cc === null && binding.nrpn === null) {
+        debugReport(`[midimap] ${where}: needs "cc" or "nrpn"`);
+        return null;
+      }
+      if (binding.cc !== null && binding.resolution === "14bit" && binding.cc > 31) {
+        debugReport(`[midimap] ${where}: 14-bit CCs use CC0..31 (LSB on CC+32)`);
+        return null;
+      }
+      return binding;
+    }
+
+    function resolveMidiMap(json, source) {
+      const presetName = json && typeof json.preset === "string" ? json.preset.toLowerCase() : "max";
+      const preset = MIDI_MAP_PRESETS[presetName];
+      if (!preset) debugReport(`[midimap] ${source}: unknown preset "${presetName}" (max, live)`);
+
+      const map = { in: {}, out: {} };
+      const pick = (dir, names) => {
+        const custom = (json && json[dir]) || {};
+        for (const key of Object.keys(custom)) {
+          if (!names.includes(key)) debugReport(`[midimap] ${source}: unknown ${dir} "${key}" (${names.join(", ")})`);
+        }
+        for (const name of names) {
+          const raw = name in custom ? custom[name] : (preset || MIDI_MAP_PRESETS.max)[dir][name];
+          if (raw === undefined) continue;
+          const binding = normalizeMidiBinding(raw, `${dir}.${name}`, dir === "in");
+          if (binding) map[dir][name] = binding;
+        }
+      };
+      pick("in", MIDI_IN_ACTIONS);
+      pick("out", MIDI_OUT_MESSAGES);
+      return map;
+    }
+
+    async function loadMidiMap() {
+      if (!MIDIMAP_PARAM || MIDI_MAP_PRESETS[MIDIMAP_PARAM.toLowerCase()]) {
+        const name = (MIDIMAP_PARAM || "max").toLowerCase();
+        return resolveMidiMap({ preset: name }, `preset ${name}`);
+      }
+
+      let json;
+      try {
+        json = decodeInlineJson(MIDIMAP_PARAM);
+        if (json === undefined) {
+          const r = await fetch(MIDIMAP_PARAM, { cache: "no-store" });
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          json = await r.json();
+        }
+      } catch (e) {
+        debugReport(`[midimap] could not load ${MIDIMAP_PARAM}: ${e.message || e} (using preset max)`);
+        json = null;
+      }
+      return resolveMidiMap(json, json ? "midimap" : "preset max");
+    }
+
+    function describeMidiBinding(b) {
+      if (!b) return "off";
+      const what = b.nrpn !== null ? `NRPN ${b.nrpn}` : b.resolution === "14bit" ? `CC${b.cc}/${b.cc + 32}` : `CC${b.cc}`;
+      return b.channel === null ? what : `${what} ch${b.channel + 1}`;
+    }
+
+    function sendMapped(name, value) {
+      const b = midiMap.out[name];
+      if (!b || !midiOut) return;
+
+      if (b.resolution === "7bit") {
+        if (value > 127) log(`[midimap] ${name} = ${value} does not fit ${describeMidiBinding(b)} (use 14bit or nrpn)`);
+        sendCC(b.cc, value, b.channel);
+        return;
+      }
+
+      const v = clampInt(value, 0, 16383);
+      if (b.nrpn !== null) {
+        sendCC(99, b.nrpn >> 7, b.channel);
+        sendCC(98, b.nrpn & 0x7f, b.channel);
+        sendCC(6, v >> 7, b.channel);
+        sendCC(38, v & 0x7f, b.channel);
+      } else {
+        sendCC(b.cc, v >> 7, b.channel);
+        sendCC(b.cc + 32, v & 0x7f, b.channel);
+      }
+    }
+
+    function decodeMappedCc(channel, cc, value) {
+      // -> [{ action, value, wide }] for every input binding this CC completes
+      const hits = [];
+      const nrpn = midiNrpn.get(channel) || { param: 0, msb: 0 };
+
+      if (cc === 99) nrpn.param = (value << 7) | (nrpn.param & 0x7f);
+      if (cc === 98) nrpn.param = (nrpn.param & ~0x7f) | value;
+      if (cc === 6) nrpn.msb = value;
+      midiNrpn.set(channel, nrpn);
+
+      for (const [action, b] of Object.entries(midiMap.in)) {
+        if (b.channel !== null && b.channel !== channel) continue;
+
+        if (b.nrpn !== null) {
+          if (cc === 38 && nrpn.param === b.nrpn) hits.push({ action, value: (nrpn.msb << 7) | value, wide: true });
+        } else if (b.resolution === "14bit") {
+          const key = `${channel}:${b.cc}`;
+          if (cc === b.cc) midiCcMsb.set(key, value);
+          if (cc === b.cc + 32) hits.push({ action, value: ((midiCcMsb.get(key) || 0) << 7) | value, wide: true });
+        } else if (cc === b.cc) {
+          hits.push({ action, value, wide: false });
+        }
+      }
+      return hits;
+    }
+
+    function runMidiAction(action, value, wide) {
+      switch (action) {
+        case "step": // 0 clears; 1..N selects
+          highlightStep(clampInt(value, 0, harmonicSteps.length));
+          break;
+        case "next": // buttons: act on press (value > 0), not on release
+          if (value > 0) stepNext();
+          break;
+        case "previous":
+          if (value > 0) stepPrevious();
+          break;
+        case "clear":
+          if (value > 0) {
+            pausePlayback();
+            highlightStep(0);
+          }
+          break;
+        case "labels": // 0 current, 1 reveal, 2+ all
+          setLabelMode(LABEL_MODES[clampInt(value, 0, LABEL_MODES.length - 1)]);
+          break;
+        case "play": // 0 pause, else play
+          if (value > 0) startPlayback();
+          else pausePlayback();
+          break;
+        case "tempo": // 7-bit: value x 2 quarter notes per minute (60 -> 120); 14-bit / NRPN: the tempo itself
+          setPlaybackTempo(wide ? value : value * 2);
+          break;
+        case "transpose": // semitones around the centre: 7-bit 64 = as written (62 -> -2), 14-bit / NRPN 8192
+          setTransposition(value - (wide ? 8192 : 64));
+          break;
+      }
+    }
+
+    function staffChannel(staff) {
+      const n = Number(staff);
+      return n >= 1 && n <= MIDI_STAFF_CHANNELS.length ? MIDI_STAFF_CHANNELS[n - 1] : MIDI_CHANNEL;
+    }
+
+    function midiNoteKey(channel, pitch) {
+      return `${channel}:${pitch}`;
+    }
+
+    function sendNoteOn(channel, pitch) {
+      if (!midiOut) return null;
+      // Same pitch still sounding (e.g. repeated while playing): end it first so Max sees a new note
+      sendNoteOff(channel, pitch);
+      midiOut.send([0x90 | channel, pitch, MIDI_VELOCITY]);
+      const token = ++midiNoteToken;
+      midiNotesOn.set(midiNoteKey(channel, pitch), { channel, pitch, token });
+      return token;
+    }
+
+    function sendNoteOff(channel, pitch, token = null) {
+      // token: only end that particular note-on, not a later re-strike of the same pitch
+      const key = midiNoteKey(channel, pitch);
+      const on = midiNotesOn.get(key);
+      if (!on || (token !== null && on.token !== token)) return;
+      midiNotesOn.delete(key);
+      if (midiOut) midiOut.send([0x80 | channel, pitch, 0]);
+    }
+
+    function midiLater(ms, fn) {
+      if (ms <= 0) {
+        fn();
+        return;
+      }
+      const t = window.setTimeout(() => {
+        midiNoteTimers.delete(t);
+        fn();
+      }, ms);
+      midiNoteTimers.add(t);
+    }
+
+    function releaseMidiNotes(keep = new Set()) {
+      // Per-pitch note-offs for everything we started (no CC123: other parts on the channel keep playing)
+      for (const t of midiNoteTimers) window.clearTimeout(t);
+      midiNoteTimers.clear();
+      for (const [key, n] of Array.from(midiNotesOn)) {
+        if (!keep.has(key)) sendNoteOff(n.channel, n.pitch);
+      }
+    }
+
+    function stepMidiNotes(stepIndex) {
+      // One entry per channel + pitch; "fresh" unless every note on it is a tied continuation / held
+      const byKey = new Map();
+      for (const n of stepNotes[stepIndex - 1] || []) {
+        if (!Number.isFinite(n.midi)) continue;
+        const channel = staffChannel(n.staff);
+        const pitch = clampInt(n.midi, 0, 127);
+        const key = midiNoteKey(channel, pitch);
+        const fresh = !n.tied && !n.held;
+        const prev = byKey.get(key);
+        if (!prev) byKey.set(key, { key, channel, pitch, fresh, id: n.id });
+        else if (fresh && !prev.fresh) Object.assign(prev, { fresh, id: n.id });
+      }
+
+      const notes = Array.from(byKey.values()).sort((a, b) => a.pitch - b.pitch);
+      return MIDI_ARP === "down" ? notes.reverse() : notes;
+    }
+
+    function sendStepNotesAsMidi(stepIndex) {
+      if (!midiOut) return;
+      const notes = stepMidiNotes(stepIndex);
+      const fresh = notes.filter((n) => n.fresh);
+      if (DEBUG) console.log(`Step ${stepIndex} -> MIDI notes to send:`, fresh.map((n) => `${n.pitch}@ch${n.channel + 1}`));
+
+      if (!isPlaying()) {
+        // hold: tied / held notes of the new step keep ringing, everything else stops
+        const keep = MIDI_NOTE_MODE === "hold" ? new Set(notes.filter((n) => !n.fresh).map((n) => n.key)) : new Set();
+        releaseMidiNotes(keep);
+      }
+
+      fresh.forEach((n, i) => {
+        const delay = MIDI_ARP ? i * MIDI_ARP_DELAY_MS : 0;
+
+        // While playing every note lasts its written length (ties included), like the synth
+        // (no timing data for the note: until the next step, so nothing hangs with notes=hold)
+        let duration = MIDI_NOTE_MODE === "retrigger" ? MIDI_DURATION_MS : null;
+        if (isPlaying()) {
+          const end = noteEndQuarters(n.id) ?? stepEndQuarters(stepIndex);
+          duration = quartersToSeconds(end - stepQuarters(stepIndex)) * 1000;
+        }
+
+        midiLater(delay, () => {
+          const token = sendNoteOn(n.channel, n.pitch);
+          if (duration !== null) midiLater(duration, () => sendNoteOff(n.channel, n.pitch, token));
+        });
+      });
+    }
+
+    function handleMidiMessage(ev) {
+      if (!isActiveViewer) return;
+
+      const data = ev.data || [];
+      const status = data[0] || 0;
+      const d1 = data[1] || 0;
+      const d2 = data[2] || 0;
+
+      const msgType = status & 0xf0;
+
+      if (status >= 0xf0) {
+        handleTransportMessage(status, d1, d2, ev.timeStamp);
+        return;
+      }
+
+      if (msgType === 0x90 || msgType === 0x80) {
+        handleNoteMessage(ev);
+        return;
+      }
+
+      // CC, dispatched through the control map (default: CC22 step, CC27 labels, CC28 play, CC29 tempo)
+      if (msgType === 0xb0) {
+        const channel = status & 0x0f;
+        const cc = d1 & 0x7f;
+        const value = d2 & 0x7f;
+
+        for (const hit of decodeMappedCc(channel, cc, value)) {
+          log(`[midi] ${hit.action} <- ${describeMidiBinding(midiMap.in[hit.action])} = ${hit.value}`);
+          runMidiAction(hit.action, hit.value, hit.wide);
+        }
+      }
+    }
+
+    // ---------------------------
+    // Transport follow (follow=beats|time)
+    // Clock = 24 per quarter; Song Position Pointer counts 16ths (= 6 clocks); Start resets to 0
+    // ---------------------------
+    function handleTransportMessage(status, d1, d2, timeStamp) {
+      if (!FOLLOW_MODE) return;
+
+      switch (status) {
+        case 0xf8: // clock
+          if (!transportRunning) return;
+          transportClocks++;
+          measureTransportTempo(Number.isFinite(timeStamp) && timeStamp > 0 ? timeStamp : performance.now());
+          followTransport();
+          break;
+        case 0xfa: // start
+          transportClocks = 0;
+          startTransport("start");
+          break;
+        case 0xfb: // continue
+          startTransport("continue");
+          break;
+        case 0xfc: // stop: the highlight stays where the DAW stopped
+          transportRunning = false;
+          log(`[follow] stop at ${transportClocks / CLOCKS_PER_QUARTER} quarters`);
+          break;
+        case 0xf2: // song position pointer (DAW locates, running or not)
+          transportClocks = ((d2 << 7) | d1) * 6;
+          followTransport();
+          break;
+      }
+    }
+
+    function startTransport(how) {
+      pausePlayback(); // one driver at a time
+      transportRunning = true;
+      transportClockTimes = [];
+      log(`[follow] ${how} at ${transportClocks / CLOCKS_PER_QUARTER} quarters`);
+      followTransport();
+    }
+
+    function measureTransportTempo(t) {
+      // Average over the last quarter note of clocks; jitter of single clocks is large
+      transportClockTimes.push(t);
+      if (transportClockTimes.length > CLOCKS_PER_QUARTER + 1) transportClockTimes.shift();
+      const n = transportClockTimes.length;
+      if (n < 2) return;
+
+      const interval = (transportClockTimes[n - 1] - transportClockTimes[0]) / (n - 1);
+      if (interval > 0) transportTempo = 60000 / (interval * CLOCKS_PER_QUARTER);
+    }
+
+    function lastStepAtOrBefore(valueOf, x) {
+      // Steps are in score order: binary search for the last step starting at or before x (0 = none yet)
+      let lo = 1;
+      let hi = harmonicSteps.length;
+      let found = 0;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (valueOf(mid) <= x + 1e-6) {
+          found = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      return found;
+    }
+
+    function stepMilliseconds(stepIndex) {
+      const s = stepInfo[stepIndex - 1];
+      return s && s.tstamp !== null ? s.tstamp : stepQuarters(stepIndex) * 500;
+    }
+
+    function followTransport() {
+      if (!harmonicSteps.length) return;
+      const q = transportClocks / CLOCKS_PER_QUARTER - FOLLOW_OFFSET_Q;
+
+      const step = FOLLOW_MODE === "beats"
+        ? lastStepAtOrBefore(stepQuarters, q)
+        : lastStepAtOrBefore(stepMilliseconds, (q * 60000) / transportTempo);
+
+      if (step !== highlightedStep) highlightStep(step);
+    }
+
+    // ---------------------------
+    // Quiz: play the chord on a MIDI keyboard (quiz=exact|pc|bass)
+    // One attempt = from the first key down until every key is up; judged once enough keys are held
+    // ---------------------------
+    const QUIZ_MODE_NAMES = { exact: "exact pitches", pc: "pitch classes", bass: "pitch classes + bass" };
+
+    function handleNoteMessage(ev) {
+      if (!QUIZ_MODE || !isActiveViewer) return;
+
+      const [status = 0, pitch = 0, velocity = 0] = ev.data || [];
+      const isOn = (status & 0xf0) === 0x90 && velocity > 0; // note-on with velocity 0 = note-off
+      if ((status & 0xf0) !== 0x90 && (status & 0xf0) !== 0x80) return;
+
+      if (isOn) {
+        if (!quizHeld.size) clearQuizFeedback(); // new attempt
+        quizHeld.add(pitch & 0x7f);
+        judgeQuizAttempt();
+      } else {
+        quizHeld.delete(pitch & 0x7f);
+        if (!quizHeld.size) quizJudged = false;
+      }
+    }
+
+    function quizTarget(stepIndex) {
+      return stepChord(stepIndex).pitches;
+    }
+
+    function quizCompare(held, target) {
+      // -> "correct" | "wrong" | null (not enough keys yet)
+      if (!target.length) return null;
+      const sameSet = (a, b) => a.size === b.size && Array.from(a).every((x) => b.has(x));
+
+      if (QUIZ_MODE === "exact") {
+        if (held.length < target.length) return null;
+        return sameSet(new Set(held), new Set(target)) ? "correct" : "wrong";
+      }
+
+      const pcs = (list) => new Set(list.map((m) => m % 12));
+      const heldPcs = pcs(held);
+      const targetPcs = pcs(target);
+      if (heldPcs.size < targetPcs.size) return null;
+
+      const bassOk = QUIZ_MODE !== "bass" || held[0] % 12 === target[0] % 12;
+      return sameSet(heldPcs, targetPcs) && bassOk ? "correct" : "wrong";
+    }
+
+    function judgeQuizAttempt() {
+      const step = highlightedStep;
+      if (quizJudged || step <= 0) return;
+
+      const held = Array.from(quizHeld).sort((a, b) => a - b);
+      const verdict = quizCompare(held, quizTarget(step));
+      if (!verdict) return;
+      quizJudged = true;
+
+      const result = quizResults.get(step) || { attempts: 0, solved: false, firstTry: false };
+      if (!result.solved) {
+        result.attempts++;
+        result.solved = verdict === "correct";
+        result.firstTry = result.solved && result.attempts === 1;
+        quizResults.set(step, result);
+      }
+      log(`[quiz] step ${step}: ${verdict} (played ${held.join(" ")}, expected ${quizTarget(step).join(" ")})`);
+
+      markStepNotes(step, verdict === "correct" ? "hv-quiz-correct" : "hv-quiz-wrong");
+      updateQuizStatus();
+
+      // The last chord ends the session right or wrong (a retry updates the score)
+      if (step === harmonicSteps.length) {
+        finishQuiz();
+      } else if (verdict === "correct" && QUIZ_ADVANCE) {
+        window.setTimeout(() => {
+          if (highlightedStep === step) stepNext();
+        }, QUIZ_ADVANCE_MS);
+      }
+    }
+
+    function clearQuizFeedback() {
+      elScore.querySelectorAll(".hv-quiz-correct, .hv-quiz-wrong").forEach((n) => {
+        n.classList.remove("hv-quiz-correct", "hv-quiz-wrong");
+      });
+    }
+
+    function quizSummary() {
+      const results = Array.from(quizResults.values());
+      return {
+        steps: harmonicSteps.length,
+        answered: results.length,
+        solved: results.filter((r) => r.solved).length,
+        firstTry: results.filter((r) => r.firstTry).length,
+        attempts: results.reduce((sum, r) => sum + r.attempts, 0),
+        finished: quizFinished,
+      };
+    }
+
+    function updateQuizStatus() {
+      if (!QUIZ_MODE || !elQuizStatus) return;
+      const q = quizSummary();
+      elQuizStatus.hidden = false;
+      elQuizStatus.classList.toggle("is-finished", quizFinished);
+
+      if (quizFinished) {
+        const pct = q.steps ? Math.round((100 * q.firstTry) / q.steps) : 0;
+        elQuizStatus.textContent =
+          `Finished: ${q.firstTry} of ${q.steps} chords right first time (${pct}%), ` +
+          `${q.solved} solved, ${q.attempts} attempts`;
+        return;
+      }
+      elQuizStatus.textContent =
+        `Quiz (${QUIZ_MODE_NAMES[QUIZ_MODE]}) · step ${highlightedStep}/${q.steps} · ` +
+        `${q.firstTry} first try · ${q.solved - q.firstTry} after retrying · ${q.attempts} attempts`;
+    }
+
+    function finishQuiz() {
+      quizFinished = true;
+      updateQuizStatus();
+      log("[quiz] finished:", quizSummary());
+    }
+
+    function resetQuizAttempt() {
+      // Step changed: keys still down belong to the previous answer and are not judged again
+      clearQuizFeedback();
+      quizJudged = quizHeld.size > 0;
+      updateQuizStatus();
+    }
+
+    async function initMidi() {
+      midiAccess = await requestSharedMidiAccess();
+      if (!midiAccess) {
+        warn("WebMIDI not available (not supported or refused): no MIDI in or out.");
+        return;
+      }
+      if (destroyed) return;
+
+      // Pick ports robustly
+      midiIn = pickMidiPort(midiAccess.inputs, IN_PORT_HINT);
+      midiOut = pickMidiPort(midiAccess.outputs, OUT_PORT_HINT);
+
+      if (DEBUG) {
+        console.log(
+          "MIDI inputs:",
+          Array.from(midiAccess.inputs.values()).map((p) => p.name)
+        );
+        console.log(
+          "MIDI outputs:",
+          Array.from(midiAccess.outputs.values()).map((p) => p.name)
+        );
+      }
+
+      if (DEBUG) {
+        for (const [dir, names] of [["in", MIDI_IN_ACTIONS], ["out", MIDI_OUT_MESSAGES]]) {
+          console.log(`MIDI map ${dir}:`, names.map((n) => `${n}=${describeMidiBinding(midiMap[dir][n])}`).join(", "));
+        }
+      }
+
+      // addEventListener (not onmidimessage): other viewers on the page listen to the same ports
+      if (midiIn) {
+        listenMidi(midiIn, handleMidiMessage);
+        console.log("BOUND INPUT:", midiIn.name);
+      } else {
+        warn("No MIDI input port found.");
+      }
+
+      if (QUIZ_MODE) {
+        // The student's keyboard is usually another port: every other input feeds notes to the quiz
+        for (const port of midiAccess.inputs.values()) {
+          if (port !== midiIn) listenMidi(port, handleNoteMessage);
+        }
+      }
+
+      if (midiOut) {
+        console.log("BOUND OUTPUT:", midiOut.name);
+      } else {
+        warn("No MIDI output port found.");
+      }
+    }
+
+    function listenMidi(port, handler) {
+      listen(port, "midimessage", handler);
+      // Only onmidimessage opens a port implicitly
+      if (typeof port.open === "function") port.open().catch((e) => warn(`MIDI port ${port.name}: ${e.message || e}`));
+    }
+
+    // ---------------------------
+    // Web Audio synth (sound=audio|both)
+    // One triangle oscillator per pitch, short attack, gentle decay; no samples, works offline
+    // ---------------------------
+    function ensureAudio() {
+      if (audioCtx) return audioCtx;
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      if (!Ctx) {
+        warn("Web Audio not supported in this browser.");
+        return null;
+      }
+      audioCtx = new Ctx();
+      audioOut = audioCtx.createGain();
+      audioOut.gain.value = 0.5;
+      audioOut.connect(audioCtx.destination);
+      return audioCtx;
+    }
+
+    function resumeAudio() {
+      // Browsers keep audio suspended until a user gesture (key, click) calls this
+      if (!SOUND_AUDIO || !ensureAudio() || audioCtx.state !== "suspended") return;
+      const ctx = audioCtx;
+      Promise.resolve(ctx.resume())
+        .then(() => {
+          if (ctx.state === "running") audioBlockedReported = false;
+        })
+        .catch((e) => reportAudioBlocked(e));
+    }
+
+    function reportAudioBlocked(e) {
+      // Play / set-step from a CC or the host before any click or key: the synth stays silent
+      if (audioBlockedReported) return;
+      audioBlockedReported = true;
+      debugReport(
+        `[audio] the browser keeps sound off until the viewer is clicked or a key is pressed` +
+          (e ? ` (${e.message || e})` : "")
+      );
+    }
+
+    function audioState() {
+      // For the published state: null without sound=audio|both, else the context's state
+      if (!SOUND_AUDIO) return null;
+      return audioCtx ? audioCtx.state : "suspended";
+    }
+
+    function playAudioNote(midi, seconds, voices) {
+      const t0 = audioCtx.currentTime;
+      const t1 = t0 + Math.max(0.05, seconds);
+      const peak = 0.35 / Math.sqrt(Math.max(1, voices));
+
+      const osc = audioCtx.createOscillator();
+      osc.type = "triangle";
+      osc.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+
+      const gain = audioCtx.createGain();
+      gain.gain.setValueAtTime(0, t0);
+      gain.gain.linearRampToValueAtTime(peak, t0 + 0.01);
+      gain.gain.setTargetAtTime(peak * 0.5, t0 + 0.01, 0.3);
+      gain.gain.setTargetAtTime(0, t1, 0.05); // release
+      osc.connect(gain).connect(audioOut);
+
+      const voice = { osc, gain };
+      audioVoices.add(voice);
+      osc.onended = () => audioVoices.delete(voice);
+      osc.start(t0);
+      osc.stop(t1 + 0.3);
+    }
+
+    function stopAudio() {
+      if (!audioCtx) return;
+      const t = audioCtx.currentTime;
+      for (const v of audioVoices) {
+        v.gain.gain.cancelScheduledValues(t);
+        v.gain.gain.setTargetAtTime(0, t, 0.02);
+        v.osc.stop(t + 0.1);
+      }
+      audioVoices.clear();
+    }
+
+    function onsetKey(q) {
+      // Quarter positions are sums of fractions: compare them to 1e-6, not exactly
+      return Math.round(q * 1e6);
+    }
+
+    function noteEndQuarters(noteId) {
+      // Follow ties: a tied continuation of the same pitch starting where this note ends extends it
+      const t = noteTimes.get(noteId);
+      const info = noteInfoById.get(noteId);
+      if (!t) return null;
+
+      let end = t.off;
+      if (!info) return end;
+      for (let guard = 0; guard < 64; guard++) {
+        let next = null;
+        for (const id of noteOnsets.get(onsetKey(end)) || []) {
+          const ni = noteInfoById.get(id);
+          if (ni && ni.tied && ni.midi === info.midi && ni.staff === info.staff) {
+            next = noteTimes.get(id);
+            break;
+          }
+        }
+        if (!next || next.off <= end) break;
+        end = next.off;
+      }
+      return end;
+    }
+
+    function playStepAudio(stepIndex) {
+      if (!ensureAudio()) return;
+      if (audioCtx.state === "suspended") reportAudioBlocked();
+      if (!isPlaying()) stopAudio(); // while playing, earlier notes ring on for their written length
+
+      // Same pitches as the MIDI output: tied continuations and held notes are not re-struck
+      const notes = (stepNotes[stepIndex - 1] || []).filter((n) => !n.tied && !n.held && Number.isFinite(n.midi));
+      const byMidi = new Map();
+      for (const n of notes) {
+        // While playing, each pitch lasts as written (ties included); selected by hand: a fixed length
+        let seconds = SELECT_SOUND_SEC;
+        if (isPlaying()) {
+          const end = noteEndQuarters(n.id);
+          if (end !== null) seconds = quartersToSeconds(end - stepQuarters(stepIndex));
+        }
+        byMidi.set(n.midi, Math.max(byMidi.get(n.midi) || 0, seconds));
+      }
+
+      for (const [midi, seconds] of byMidi) playAudioNote(midi, seconds, byMidi.size);
+    }
+
+    // ---------------------------
+    // Playback (whole score, highlight follows)
+    // Steps are scheduled one at a time; a tempo change or a manual jump replaces the pending
+    // timer, so both apply right away
+    // ---------------------------
+    function stepQuarters(stepIndex) {
+      const s = stepInfo[stepIndex - 1];
+      if (!s) return scoreEndQ;
+      if (s.qstamp !== null) return s.qstamp;
+      if (s.tstamp !== null) return s.tstamp / 500;
+      return stepIndex - 1; // x-position fallback: one quarter per step
+    }
+
+    function stepEndQuarters(stepIndex) {
+      // Where the next step starts; the last step lasts until the last note-off (at least a quarter)
+      return stepIndex < harmonicSteps.length
+        ? stepQuarters(stepIndex + 1)
+        : Math.max(scoreEndQ, stepQuarters(stepIndex) + 1);
+    }
+
+    function quartersToSeconds(q) {
+      return (Math.max(0, q) * 60) / playbackTempo;
+    }
+
+    function isPlaying() {
+      return playing;
+    }
+
+    function scheduleNextStep(doneQ = 0) {
+      // doneQ: quarters of the current step already played (kept across a tempo change)
+      const n = harmonicSteps.length;
+      const current = highlightedStep;
+      const ms = quartersToSeconds(stepEndQuarters(current) - stepQuarters(current) - doneQ) * 1000;
+
+      window.clearTimeout(playbackTimer);
+      playbackStepAt = performance.now();
+      playbackStepDoneQ = doneQ;
+      playbackTimer = window.setTimeout(() => {
+        playbackTimer = null;
+        if (highlightedStep >= n || highlightedStep === 0) {
+          pausePlayback();
+          return;
+        }
+        highlightStep(highlightedStep + 1); // schedules the step after it
+      }, ms);
+    }
+
+    function startPlayback() {
+      if (isPlaying() || !harmonicSteps.length) return;
+      if (!isActiveViewer) return;
+
+      resumeAudio();
+      playing = true;
+      log(`[playback] play at ${playbackTempo} qpm`);
+
+      // From the start when nothing (or the last step) is selected, else from the current step
+      const from = highlightedStep === 0 || highlightedStep >= harmonicSteps.length ? 1 : highlightedStep;
+      highlightStep(from); // schedules the next step
+    }
+
+    function pausePlayback() {
+      if (!isPlaying()) return;
+      window.clearTimeout(playbackTimer);
+      playbackTimer = null;
+      playing = false;
+      stopAudio();
+      releaseMidiNotes();
+      log("[playback] paused");
+    }
+
+    function togglePlayback() {
+      if (isPlaying()) pausePlayback();
+      else startPlayback();
+    }
+
+    function setPlaybackTempo(qpm) {
+      const doneQ = playbackStepDoneQ + ((performance.now() - playbackStepAt) / 1000) * (playbackTempo / 60);
+      playbackTempo = clampInt(qpm, TEMPO_MIN, TEMPO_MAX);
+      log(`[playback] tempo ${playbackTempo} qpm`);
+      // The rest of the current step at the new tempo
+      if (isPlaying()) scheduleNextStep(doneQ);
+    }
+
+    // ---------------------------
+    // Export: standalone SVG, PNG, printed handouts
+    //   exportSvg: every page + every label (labels=all, none emphasised) as SVG text,
+    //              step colours on the noteheads, title on top. The labels are copied from the
+    //              HTML overlay as laid out (typeset numerals, figures), so both always agree.
+    //   blanks:    empty boxes where the labels go (exercises), copied from the overlay's
+    //              handout=blank boxes like the labels; every step when there is no analysis
+    //   exportPng: the same SVG rasterised, scale = pixels per CSS pixel
+    //   printHandout: handout look (every label or blank boxes, no controls) + window.print()
+    // ---------------------------
+    const SVG_NS = "http://www.w3.org/2000/svg";
+
+    function exportTitle() {
+      return TITLE || (analysis && analysisSource !== "auto" && analysis.title) || "";
+    }
+
+    function exportFileName(ext) {
+      const base = String(SCORE_URL || "score").split(/[?#]/)[0].split("/").filter(Boolean).pop() || "score";
+      return base.replace(/\.[^.]*$/, "") + ext;
+    }
+
+    function escapeXml(s) {
+      return String(s).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+    }
+
+    function setBlankBoxes(on) {
+      // Labels as empty boxes (CSS .is-handout-blank): the one layout for screen, print and export
+      blankBoxesShown = on;
+      root.classList.toggle("is-handout-blank", on);
+    }
+
+    function withExportLayout(blanks, fn) {
+      // Lay out every page (layout=pages) and every label or blank box, nothing emphasised;
+      // then put the screen back as it was
+      const mode = labelMode;
+      const boxes = blankBoxesShown;
+      const allPages = allPagesShown;
+      showAllPages(true);
+      labelMode = "all";
+      setBlankBoxes(blanks);
+      updateAnalysisOverlay(0);
+      try {
+        return fn();
+      } finally {
+        labelMode = mode;
+        setBlankBoxes(boxes);
+        showAllPages(allPages);
+        applySvgHighlight(handoutMode ? 0 : highlightedStep);
+        updateAnalysisOverlay(handoutMode ? 0 : highlightedStep);
+      }
+    }
+
+    function frameRect(r, frame) {
+      // Screen rect -> the viewer's own pixels (as the overlay places labels, see viewerFrame)
+      const k = frame.scale;
+      return { left: (r.left - frame.left) / k, top: (r.top - frame.top) / k, width: r.width / k, height: r.height / k };
+    }
+
+    function exportStepColors() {
+      // noteId -> colour: every step with a colour of its own, the current step on top (red without one)
+      const colors = new Map();
+      for (let i = 1; i <= harmonicSteps.length; i++) {
+        const color = stepColor(i);
+        if (!color) continue;
+        for (const id of harmonicSteps[i - 1]) if (!colors.has(id)) colors.set(id, color);
+      }
+      const current = handoutMode ? 0 : highlightedStep;
+      for (const id of harmonicSteps[current - 1] || []) colors.set(id, stepColor(current) || "#d11");
+      return colors;
+    }
+
+    function overlayTextRuns(frame) {
+      // Every text node of the overlay -> <text> at its laid-out position, with its font and colour
+      const runs = [];
+      const walker = document.createTreeWalker(elOverlay, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!node.textContent.trim()) continue;
+        const range = document.createRange();
+        range.selectNodeContents(node);
+        const r = frameRect(range.getBoundingClientRect(), frame);
+        const cs = window.getComputedStyle(node.parentElement);
+        const size = parseFloat(cs.fontSize) || 16;
+        const baseline = r.top + (r.height - size) / 2 + size * 0.85;
+        runs.push(
+          `<text x="${r.left.toFixed(1)}" y="${baseline.toFixed(1)}" ` +
+            `font-family="${escapeXml(cs.fontFamily)}" font-size="${size}" font-weight="${cs.fontWeight}" ` +
+            `font-style="${cs.fontStyle}" fill="${escapeXml(cs.color)}">${escapeXml(node.textContent)}</text>`
+        );
+      }
+      return runs;
+    }
+
+    function blankBoxes(frame) {
+      // The boxes the overlay draws in blank mode, copied as laid out (same as on screen and in print)
+      const runs = [];
+      for (const el of elOverlay.querySelectorAll(".analysis-stufe, .analysis-function")) {
+        const r = frameRect(el.getBoundingClientRect(), frame);
+        if (!r.width || !r.height) continue; // no function box for an entry without function
+        runs.push(
+          `<rect x="${r.left.toFixed(1)}" y="${r.top.toFixed(1)}" width="${r.width.toFixed(1)}" ` +
+            `height="${r.height.toFixed(1)}" rx="4" fill="none" stroke="#888" stroke-width="1.5"/>`
+        );
+      }
+      return runs;
+    }
+
+    function exportSvg({ blanks = false } = {}) {
+      if (!elScore.querySelector("svg")) return null;
+
+      return withExportLayout(blanks, () => {
+        const pages = Array.from(elScore.querySelectorAll("svg")).filter((svg) => !svg.parentElement.closest("svg"));
+        const frame = viewerFrame();
+        const colors = exportStepColors();
+        let width = frameRect(elViewer.getBoundingClientRect(), frame).width;
+        let height = 0;
+
+        const parts = pages.map((svg) => {
+          const r = frameRect(svg.getBoundingClientRect(), frame);
+          const clone = svg.cloneNode(true);
+          clone.setAttribute("x", r.left.toFixed(1));
+          clone.setAttribute("y", r.top.toFixed(1));
+          clone.setAttribute("width", r.width.toFixed(1));
+          clone.setAttribute("height", r.height.toFixed(1));
+          clone.removeAttribute("style");
+          for (const [id, color] of colors) {
+            const g = clone.querySelector(`#${cssEscape(id)}`);
+            if (g) g.setAttribute("style", `fill:${color};stroke:${color};color:${color}`);
+          }
+          width = Math.max(width, r.left + r.width);
+          height = Math.max(height, r.top + r.height);
+          return new XMLSerializer().serializeToString(clone);
+        });
+
+        const labels = blanks ? blankBoxes(frame) : overlayTextRuns(frame);
+        for (const el of elOverlay.querySelectorAll(".analysis-label *")) {
+          const r = frameRect(el.getBoundingClientRect(), frame);
+          if (r.height) height = Math.max(height, r.top + r.height);
+        }
+
+        const title = exportTitle();
+        const titleHeight = title ? 48 : 0;
+        const total = Math.ceil(height + titleHeight + 16);
+        return [
+          `<svg xmlns="${SVG_NS}" xmlns:xlink="http://www.w3.org/1999/xlink" width="${Math.ceil(width)}" height="${total}" viewBox="0 0 ${Math.ceil(width)} ${total}">`,
+          `<rect width="100%" height="100%" fill="#fff"/>`,
+          title
+            ? `<text x="${(width / 2).toFixed(1)}" y="32" text-anchor="middle" font-family="system-ui, sans-serif" font-size="24" font-weight="600">${escapeXml(title)}</text>`
+            : "",
+          `<g transform="translate(0 ${titleHeight})">`,
+          ...parts,
+          `<g class="analysis">`,
+          ...labels,
+          `</g></g></svg>`,
+        ].join("\n");
+      });
+    }
+
+    function exportPng({ blanks = false, scale = PNG_SCALE } = {}) {
+      // -> Promise<Blob> (image/png)
+      const svg = exportSvg({ blanks });
+      if (!svg) return Promise.reject(new Error("Nothing to export (no score rendered)"));
+      const k = Math.max(0.5, Math.min(8, Number(scale) || 1));
+
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+        const img = new Image();
+        img.onload = () => {
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.round(img.width * k);
+          canvas.height = Math.round(img.height * k);
+          canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+          URL.revokeObjectURL(url);
+          canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+        };
+        img.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error("Could not rasterise the SVG"));
+        };
+        img.src = url;
+      });
+    }
+
+    function downloadBlob(blob, fileName) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function blobToDataUrl(blob) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    }
+
+    function downloadExport(format, opts = {}) {
+      const suffix = opts.blanks ? "-blank" : "";
+      if (format === "png") {
+        return exportPng(opts)
+          .then((blob) => downloadBlob(blob, exportFileName(`${suffix}.png`)))
+          .catch((e) => debugReport(`[export] ${e.message || e}`));
+      }
+      const svg = exportSvg(opts);
+      if (svg) downloadBlob(new Blob([svg], { type: "image/svg+xml" }), exportFileName(`${suffix}.svg`));
+      return Promise.resolve();
+    }
+
+    let labelModeBeforeHandout = null;
+
+    function setHandout(mode) {
+      // null | "labels" (every label, no controls) | "blank" (empty boxes instead of labels)
+      const next = mode === "labels" || mode === "blank" ? mode : null;
+      if (next && !handoutMode) labelModeBeforeHandout = labelMode;
+      if (!next && handoutMode) labelMode = labelModeBeforeHandout || labelMode;
+      handoutMode = next;
+      root.classList.toggle("is-handout", !!handoutMode);
+      setBlankBoxes(handoutMode === "blank");
+      showAllPages(!!handoutMode); // layout=pages: the handout is the whole score
+      if (handoutMode) labelMode = "all";
+      applySvgHighlight(handoutMode ? 0 : highlightedStep);
+      updateAnalysisOverlay(handoutMode ? 0 : highlightedStep);
+    }
+
+    function printHandout({ blanks = false } = {}) {
+      // Print in handout look, then back to what was on screen (afterPrint)
+      if (!printPending) handoutBeforePrint = handoutMode;
+      printPending = true;
+      setHandout(blanks ? "blank" : "labels");
+      window.print();
+    }
+
+    function afterPrint() {
+      if (!printPending) return; // the page printed something else
+      printPending = false;
+      setHandout(handoutBeforePrint);
+    }
+
+    function wireExport() {
+      if (!EXPORT_CONTROLS) return;
+      elExportControls.hidden = false;
+      elExportControls.addEventListener("click", (ev) => {
+        const btn = ev.target.closest("button[data-export]");
+        if (!btn) return;
+        const action = btn.dataset.export;
+        if (action === "print") printHandout();
+        else if (action === "print-blank") printHandout({ blanks: true });
+        else downloadExport(action);
+      });
+    }
+
+    // ---------------------------
+    // Debug controls
+    // ---------------------------
+    function wireAnalysisExport() {
+      root.querySelector(".hv-export-analysis").addEventListener("click", downloadAnalysis);
+    }
+
+    function wireDebug() {
+      if (!elNextBtn) return;
+      elNextBtn.addEventListener("click", () => {
+        const next = highlightedStep + 1 > harmonicSteps.length ? 0 : highlightedStep + 1;
+        highlightStep(next);
+      });
+    }
+
+    // ---------------------------
+    // Step navigation (keyboard, click on notes, presenter remotes)
+    // Everything goes through highlightStep, exactly like CC22
+    // ---------------------------
+    let digitBuffer = "";
+    let digitTimer = null;
+
+    function stepNext() {
+      // Quiz: "next" on the last step ends the session (as answering it does)
+      if (QUIZ_MODE && harmonicSteps.length && highlightedStep === harmonicSteps.length) {
+        finishQuiz();
+        return;
+      }
+      highlightStep(Math.min(harmonicSteps.length, highlightedStep + 1));
+    }
+
+    function stepPrevious() {
+      highlightStep(Math.max(0, highlightedStep - 1));
+    }
+
+    function pushDigit(d) {
+      window.clearTimeout(digitTimer);
+      digitBuffer += d;
+      const n = Number(digitBuffer);
+
+      // Jump right away when another digit could not form a valid step anymore
+      if (n > 0 && n * 10 > harmonicSteps.length) {
+        digitBuffer = "";
+        highlightStep(n);
+        return;
+      }
+
+      digitTimer = window.setTimeout(() => {
+        digitBuffer = "";
+        highlightStep(n); // "0" clears, like CC22 = 0
+      }, DIGIT_TIMEOUT_MS);
+    }
+
+    function handleKeyDown(ev) {
+      if (ev.defaultPrevented || ev.altKey || ev.ctrlKey || ev.metaKey) return;
+
+      const t = ev.target;
+      if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      if (!harmonicSteps.length) return;
+
+      resumeAudio();
+
+      switch (ev.key) {
+        case "ArrowRight":
+        case "PageDown": // presenter clickers
+          stepNext();
+          break;
+        case "ArrowLeft":
+        case "PageUp":
+          stepPrevious();
+          break;
+        case "Home":
+          highlightStep(1);
+          break;
+        case "End":
+          highlightStep(harmonicSteps.length);
+          break;
+        case "Escape":
+          pausePlayback();
+          highlightStep(0);
+          break;
+        case " ": // play / pause
+          togglePlayback();
+          break;
+        case "+":
+        case "=":
+          setPlaybackTempo(playbackTempo + 5);
+          break;
+        case "-":
+          setPlaybackTempo(playbackTempo - 5);
+          break;
+        case "e": // export=yes / edit=yes: SVG, shift: PNG
+        case "E":
+          if (!EXPORT_CONTROLS) return;
+          downloadExport(ev.key === "e" ? "svg" : "png");
+          break;
+        case "p": // export=yes / edit=yes: print handout, shift: blank boxes
+        case "P":
+          if (!EXPORT_CONTROLS) return;
+          printHandout({ blanks: ev.key === "P" });
+          break;
+        default:
+          if (!/^[0-9]$/.test(ev.key)) return;
+          pushDigit(ev.key);
+      }
+
+      ev.preventDefault();
+    }
+
+    function stepIndexForNote(noteId) {
+      // Prefer the step where the note starts (held notes can appear in later steps too)
+      let idx = stepInfo.findIndex((s) => s.onIds.includes(noteId));
+      if (idx < 0) idx = harmonicSteps.findIndex((ids) => ids.includes(noteId));
+      return idx + 1;
+    }
+
+    function handleScoreClick(ev) {
+      const target = ev.target;
+      if (!target || !target.closest) return;
+
+      let g = target.closest("g.note[id], g.rest[id]");
+      if (!g) {
+        const chord = target.closest("g.chord");
+        g = chord ? chord.querySelector("g.note[id]") : null;
+      }
+      if (!g) return;
+
+      const step = stepIndexForNote(g.getAttribute("id"));
+      resumeAudio();
+      if (step > 0) highlightStep(step);
+    }
+
+    function wireNavigation() {
+      // The page-owning viewer takes every key; a component only the keys pressed while it has focus
+      if (KEYS_ENABLED) listen(PAGE ? document : root, "keydown", handleKeyDown);
+      listen(elScore, "click", handleScoreClick);
+
+      // Several viewers on one page: the one you touch takes over MIDI and sound
+      if (!IS_EMBEDDED) {
+        listen(root, "pointerdown", claimMidi);
+        listen(root, "focusin", claimMidi);
+      }
+    }
+
+    // ---------------------------
+    // Activation (Reveal: the plugin activates the current slide's viewer; one page: the viewer
+    // last clicked / focused / activate()d). Only the active viewer hears MIDI and makes sound.
+    // ---------------------------
+    const hubEntry = {
+      isActive: () => isActiveViewer,
+      deactivate: () => deactivate(),
+      claim: () => claimMidi(),
+    };
+
+    function deactivateOthers() {
+      for (const v of midiHub.viewers) {
+        if (v !== hubEntry && v.isActive()) v.deactivate();
+      }
+    }
+
+    function activate(slideIndex = currentSlideIndex, step = highlightedStep) {
+      deactivateOthers();
+      isActiveViewer = true;
+      currentSlideIndex = clampInt(slideIndex, 0, 127);
+      log("[viewer] activated, slide:", currentSlideIndex);
+      sendStepCountCc();
+      sendSlideIndexCc(currentSlideIndex);
+      highlightStep(clampInt(step, 0, harmonicSteps.length));
+      notifyParentOfHeight();
+    }
+
+    function deactivate() {
+      isActiveViewer = false;
+      log("[viewer] deactivated");
+      pausePlayback();
+      releaseMidiNotes();
+      stopAudio();
+    }
+
+    function claimMidi() {
+      // Click / focus: take over MIDI without re-sounding the current step
+      if (isActiveViewer || destroyed) return;
+      deactivateOthers();
+      isActiveViewer = true;
+      log("[viewer] activated by click / focus");
+      sendStepCountCc();
+    }
+
+    // ---------------------------
+    // Host messaging (postMessage protocol "harmony-viewer", version 1)
+    // Every message: { protocol: "harmony-viewer", version: 1, type, id?, ...payload }
+    // Commands are only taken from the parent window at an allowed origin; events only go to allowed
+    // origins (after "hello": to the host that said it). Replies carry the command's id as replyTo.
+    // ---------------------------
+    const LEGACY_COMMANDS = {
+      // pre-protocol messages from older copies of the Reveal plugin
+      "harmony-activate": "activate",
+      "harmony-deactivate": "deactivate",
+      "harmony-request-step-count": "get-step-count",
+    };
+
+    function originAllowed(origin) {
+      return ALLOWED_ORIGINS.includes("*") || ALLOWED_ORIGINS.includes(origin);
+    }
+
+    function postToHost(type, payload = {}) {
+      if (!IS_EMBEDDED) return;
+      const msg = { protocol: PROTOCOL, version: PROTOCOL_VERSION, type, ...payload };
+      const targets = hostOrigin ? [hostOrigin] : ALLOWED_ORIGINS;
+      for (const origin of targets) {
+        window.parent.postMessage(msg, origin === "null" ? "*" : origin); // "null": file:// host, only with origins=*
+      }
+    }
+
+    function emit(type, payload = {}) {
+      // Events: "harmony:<type>" on the viewer's element (detail = the protocol message), and to the host
+      const msg = { protocol: PROTOCOL, version: PROTOCOL_VERSION, type, ...payload };
+      root.dispatchEvent(new CustomEvent(`harmony:${type}`, { detail: msg, bubbles: true }));
+      postToHost(type, payload);
+    }
+
+    function stepState(stepIndex) {
+      const info = stepInfo[stepIndex - 1];
+      const entry = analysis && stepIndex > 0 ? analysisEntryForStep(stepIndex) : null;
+      const chord = stepChord(stepIndex);
+      return {
+        step: stepIndex,
+        stepCount: harmonicSteps.length,
+        measure: info ? info.measureN : null,
+        pitches: chord.pitches,
+        pitchNames: chord.names,
+        label: entry ? { stufe: transposeLabelText(entry.stufe) ?? null, function: entry.function ?? null } : null,
+      };
+    }
+
+    function viewerState() {
+      return {
+        ...stepState(highlightedStep),
+        ready: viewerReady,
+        active: isActiveViewer,
+        slideIndex: currentSlideIndex,
+        labelMode,
+        playing: isPlaying(),
+        tempo: playbackTempo,
+        score: SCORE_URL,
+        analysisSource,
+        transposition: renderedTransposition,
+        quiz: QUIZ_MODE ? quizSummary() : null,
+        audio: audioState(),
+      };
+    }
+
+    function announceReady(replyTo, send = postToHost) {
+      // send = emit after a load (DOM events too), postToHost when answering "hello"
+      send("ready", { replyTo, state: viewerState() });
+      send("step-count", { stepCount: harmonicSteps.length });
+    }
+
+    function handleHostCommand(cmd, origin) {
+      const replyTo = cmd.id;
+
+      switch (cmd.type) {
+        case "hello":
+          // Handshake: from now on events go to this host only; "ready" follows once the score is loaded
+          hostOrigin = origin;
+          if (viewerReady) announceReady(replyTo);
+          return;
+        case "activate":
+          // optional step: where the slide's fragments say we are (Reveal plugin)
+          activate(cmd.slideIndex ?? 0, cmd.step === undefined ? highlightedStep : cmd.step);
+          return;
+        case "deactivate":
+          deactivate();
+          return;
+        case "set-step":
+          highlightStep(clampInt(cmd.step, 0, harmonicSteps.length));
+          return;
+        case "next":
+          stepNext();
+          return;
+        case "previous":
+          stepPrevious();
+          return;
+        case "clear":
+          pausePlayback();
+          highlightStep(0);
+          return;
+        case "set-label-mode":
+          if (!LABEL_MODES.includes(cmd.mode)) {
+            postToHost("error", { replyTo, code: "bad-argument", message: `mode must be one of ${LABEL_MODES.join(", ")}`, fatal: false });
+            return;
+          }
+          setLabelMode(cmd.mode);
+          return;
+        case "play":
+          startPlayback();
+          return;
+        case "pause":
+          pausePlayback();
+          return;
+        case "toggle-play":
+          togglePlayback();
+          return;
+        case "set-tempo": // quarter notes per minute
+          setPlaybackTempo(cmd.tempo);
+          return;
+        case "transpose": // "M2", "-m3", "+2", -5, "Eb"; "" / 0 = as written
+          if (normalizeTransposition(cmd.transposition) === null) {
+            postToHost("error", { replyTo, code: "bad-argument", message: `"${cmd.transposition}" is not a transposition`, fatal: false });
+            return;
+          }
+          setTransposition(cmd.transposition);
+          return;
+        case "get-state":
+          postToHost("state", { replyTo, state: viewerState() });
+          return;
+        case "get-step-count":
+          sendStepCountCc(); // CC23 resend (only if active)
+          postToHost("step-count", { replyTo, stepCount: harmonicSteps.length });
+          return;
+        case "get-analysis":
+          postToHost("analysis", { replyTo, source: analysisSource, analysis: exportAnalysis() });
+          return;
+        case "export": {
+          // { format: "svg" | "png", blanks, scale } -> "export" with the SVG text or a PNG data URL
+          const opts = { blanks: !!cmd.blanks, scale: cmd.scale };
+          const fail = (e) => postToHost("error", { replyTo, code: "export-failed", message: e.message || String(e), fatal: false });
+          if (cmd.format === "png") {
+            exportPng(opts)
+              .then((blob) => blobToDataUrl(blob))
+              .then((data) => postToHost("export", { replyTo, format: "png", data }))
+              .catch(fail);
+          } else {
+            const data = exportSvg(opts);
+            if (data) postToHost("export", { replyTo, format: "svg", data });
+            else fail(new Error("Nothing to export (no score rendered)"));
+          }
+          return;
+        }
+        case "print":
+          printHandout({ blanks: !!cmd.blanks });
+          return;
+        default:
+          postToHost("error", { replyTo, code: "unknown-command", message: `unknown command "${cmd.type}"`, fatal: false });
+      }
+    }
+
+    function handleHostMessage(ev) {
+      if (ev.source !== window.parent || ev.source === window) return;
+      if (!originAllowed(ev.origin)) {
+        log(`[host] ignored message from ${ev.origin} (origins=${ALLOWED_ORIGINS.join(",")})`);
+        return;
+      }
+
+      const msg = ev.data;
+      if (!msg || typeof msg !== "object") return;
+
+      if (msg.protocol === PROTOCOL) {
+        if (!(Number(msg.version) <= PROTOCOL_VERSION)) {
+          postToHost("error", { replyTo: msg.id, code: "unsupported-version", message: `protocol version ${msg.version} (viewer speaks ${PROTOCOL_VERSION})`, fatal: false });
+          return;
+        }
+        handleHostCommand(msg, ev.origin);
+      } else if (LEGACY_COMMANDS[msg.type]) {
+        handleHostCommand({ ...msg, type: LEGACY_COMMANDS[msg.type] }, ev.origin);
+      }
+    }
+
+    // ---------------------------
+    // Score loading (MusicXML, .mxl, MEI, Humdrum, ABC; see "Score formats" at the top)
+    // ---------------------------
+    async function fetchScore(scoreUrl) {
+      // -> { text, format } ; format null = let Verovio detect it
+      const resp = await fetch(scoreUrl, { cache: "no-store" });
+      if (!resp.ok) throw new Error(`Failed to fetch score: ${resp.status}`);
+      const bytes = new Uint8Array(await resp.arrayBuffer());
+
+      const declared = FORMAT_PARAM || scoreFormatFromUrl(scoreUrl);
+      let format = declared || sniffScoreFormat(bytes);
+      log(`[score] format: ${format || "auto"} (${FORMAT_PARAM ? "format=" : declared ? "extension" : "content"})`);
+
+      // A zip is always compressed MusicXML, whatever the name says
+      if (format === "mxl" || isZip(bytes)) return { text: await unzipMxl(bytes), format: "musicxml" };
+      return { text: decodeScoreText(bytes), format };
+    }
+
+    function loadScoreData(tk, text, format) {
+      tk.setOptions({ inputFrom: format || "auto" });
+      if (tk.loadData(text)) return;
+
+      if (format === "humdrum") {
+        throw new Error("Could not load the Humdrum score (Humdrum needs a Verovio build with Humdrum support, verovio-toolkit-hum.js)");
+      }
+      throw new Error(`Verovio could not read the score (${format || "unknown format"})`);
+    }
+
+    function indexScore(index) {
+      // Sounding pitches / spellings for every note (keys, accidentals, ties, transposition)
+      noteInfoById = index.notes;
+      meterUnitByMeasureId = index.meterUnits;
+      scoreKey = index.key;
+    }
+
+    // ---------------------------
+    // Transposition (transpose=..., CC21, "transpose" command, setTransposition())
+    // Verovio transposes while it reads the score, so a new transposition reloads the fetched text
+    // and rebuilds steps, pitches and spans; the current step stays selected (and sounds transposed).
+    // Analyses stay as written: Roman numerals and functions are relative to the key, only the
+    // absolute parts (key prefixes "G: I", chord symbols "F#m7/A") follow the key signature.
+    // ---------------------------
+    const CHORD_SYMBOL_RE =
+      /^([A-G])([#♯b♭]?)((?:maj|min|dim|aug|sus|add|alt|m|M|o|°|ø|\+|-|\d|[#♯b♭(),])*)(?:\/([A-G])([#♯b♭]?))?$/;
+
+    function loadTransposed(tk) {
+      // (Re)load the fetched score at the current transposition
+      tk.setOptions({ transpose: transposition });
+      loadScoreData(tk, loadedScore.text, loadedScore.format);
+      indexScore(buildScoreIndex());
+      renderedTransposition = transposition;
+
+      // Labels move by the transposition itself; where both scores have a key signature, Verovio's
+      // spelling of the same shift wins (semitones: Db rather than C#)
+      const fifths = transpositionFifths(transposition, writtenKey ? writtenKey.fifths : 0);
+      const keyShift = scoreKey && writtenKey ? scoreKey.fifths - writtenKey.fifths : null;
+      transposeFifths = keyShift !== null && (keyShift - fifths) % 12 === 0 ? keyShift : fifths;
+      if (transposition) log(`[transpose] ${transposition} (${transposeFifths >= 0 ? "+" : ""}${transposeFifths} fifths)`);
+    }
+
+    function transposeNoteName(name, fifths) {
+      // Respell a pitch / key name by a number of fifths: ("Bb", 2) -> "C", ("f#", -3) -> "a"
+      const m = String(name).match(/^([A-Ga-g])([#♯b♭-]*)$/);
+      if (!m || !fifths) return name;
+
+      const letter = PNAMES.indexOf(m[1].toLowerCase());
+      const alter = Array.from(m[2]).reduce((sum, c) => sum + (c === "#" || c === "♯" ? 1 : -1), 0);
+      const newLetter = (((letter + fifths * 4) % 7) + 7) % 7;
+      const pc = pnameToSemitone(PNAMES[letter]) + alter + fifths * 7;
+      const newAlter = ((((pc - pnameToSemitone(PNAMES[newLetter])) % 12) + 18) % 12) - 6;
+
+      const symbols = /[♯♭]/.test(m[2]);
+      const accidental = (newAlter > 0 ? (symbols ? "♯" : "#") : symbols ? "♭" : "b").repeat(Math.abs(newAlter));
+      const newName = PNAMES[newLetter] + accidental;
+      return m[1] === m[1].toUpperCase() ? newName[0].toUpperCase() + newName.slice(1) : newName;
+    }
+
+    function transposeLabelText(text) {
+      // Stufe text as shown at the current transposition: "G: V7/V" -> "A: V7/V", "F#m7/A" -> "G#m7/B"
+      if (!transposeFifths || typeof text !== "string" || !text.trim()) return text;
+
+      if (parseRomanNumeralCached(text)) {
+        return text.replace(/^(\s*)([A-Ga-g][#♯b♭-]?)(\s*:)/, (_, pre, key, colon) => pre + transposeNoteName(key, transposeFifths) + colon);
+      }
+
+      const m = text.trim().match(CHORD_SYMBOL_RE);
+      if (!m) return text;
+      const [, root, rootAccidental, kind, bass, bassAccidental] = m;
+      const slash = bass ? `/${transposeNoteName(bass + bassAccidental, transposeFifths)}` : "";
+      return transposeNoteName(root + rootAccidental, transposeFifths) + kind + slash;
+    }
+
+    function setTransposition(value) {
+      // value: "M2", "-m3", "+2", -5, "Eb"; "" / 0 = as written -> the transposition now asked for, or null
+      const t = normalizeTransposition(value);
+      if (t === null) {
+        debugReport(`[transpose] "${value}" is not a transposition (M2, -m3, +2, -5, Eb)`);
+        return null;
+      }
+      transposition = t;
+      if (viewerReady) rerenderTransposed();
+      return t;
+    }
+
+    function rerenderTransposed() {
+      // One re-render at a time; changes arriving meanwhile (a CC knob) are picked up by the loop.
+      // Callers don't wait for it: a failed re-render is reported like a failed load
+      if (!transposeRun) {
+        transposeRun = rerenderTransposedLoop()
+          .catch((e) => {
+            if (!destroyed) reportLoadError(e);
+          })
+          .finally(() => {
+            transposeRun = null;
+          });
+      }
+      return transposeRun;
+    }
+
+    async function rerenderTransposedLoop() {
+      while (viewerReady && !destroyed && transposition !== renderedTransposition) {
+        const token = loadToken;
+        const step = highlightedStep;
+        const stepCount = harmonicSteps.length;
+        releaseMidiNotes();
+        stopAudio();
+
+        loadTransposed(ensureToolkit());
+        renderScore();
+        fitLineLayout();
+        await new Promise((resolve) => requestAnimationFrame(resolve));
+        if (destroyed || token !== loadToken) return; // load() of another score took over
+
+        harmonicSteps = buildHarmonicSteps();
+        computeStepPitches();
+        stepPages = computeStepPages();
+        if (analysis) analysisSpans = computeAnalysisSpans();
+
+        applySvgFitToContainer();
+        globalAnalysisBaselineY = computeGlobalAnalysisBaselineY();
+        systemBaselines = computeSystemBaselines();
+
+        // Same step, now with the transposed notes (and MIDI / synth pitches)
+        highlightStep(Math.min(step, harmonicSteps.length));
+        if (harmonicSteps.length !== stepCount) sendStepCountCc();
+        emit("transposition-changed", { transposition: renderedTransposition, state: viewerState() });
+      }
+    }
+
+    // ---------------------------
+    // Main load
+    // ---------------------------
+    async function loadAndRender(scoreUrl) {
+      const token = ++loadToken;
+      const stale = () => destroyed || token !== loadToken; // destroyed, or a newer load() started
+
+      // Reload (load()): silence and forget the previous score
+      pausePlayback();
+      releaseMidiNotes();
+      stopAudio();
+      viewerReady = false;
+      highlightedStep = 0;
+      quizResults = new Map();
+      quizFinished = false;
+
+      if (!scoreUrl) {
+        elScore.textContent = "No score URL provided (?score=...)";
+        return;
+      }
+
+      const tk = ensureToolkit();
+      if (IS_WRAPPED) setWrappedLayout(tk);
+
+      // Load score (any supported format; .mxl unzipped here)
+      const score = await fetchScore(scoreUrl);
+      if (stale()) return;
+
+      loadedScore = score;
+
+      // The score as written: its key and labels (analyses are kept untransposed)
+      tk.setOptions({ transpose: "" });
+      loadScoreData(tk, score.text, score.format);
+      const written = buildScoreIndex();
+      scoreHarms = written.harms;
+      writtenKey = written.key;
+
+      // Then at the transposition asked for (transpose=...), if any
+      if (transposition) {
+        loadTransposed(tk);
+      } else {
+        indexScore(written);
+        renderedTransposition = "";
+        transposeFifths = 0;
+      }
+
+      // Render SVG (first page, or all pages stacked for layout=scroll; layout=line at the viewer width)
+      currentPage = 1;
+      renderScore();
+      fitLineLayout();
+
+      // ⏱ IMPORTANT: wait until SVG is actually in the DOM
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+      if (stale()) return;
+
+      // Build steps + pitches (NOW the SVG is queryable)
+      harmonicSteps = buildHarmonicSteps();
+      console.log("Total harmonic steps:", harmonicSteps.length);
+
+      computeStepPitches();
+      stepPages = computeStepPages();
+      setPlaybackTempo(TEMPO_PARAM || scoreTempo);
+
+      // Load the analysis: JSON if present, else the labels in the score
+      const loaded = await loadAnalysisIfPresent(scoreUrl, score);
+      if (stale()) return;
+      analysis = loaded.analysis;
+      analysisSource = loaded.source;
+      updateAnalysisStatus();
+      checkAnalysisAgainstScore();
+      analysisSpans = computeAnalysisSpans();
+      colorMode = resolveColorMode();
+      if (EDIT_MODE) startEditing(loaded);
+
+      // Fit first (important!)
+      applySvgFitToContainer();
+
+      // ✅ Compute ONE shared baseline AFTER fit (plus one per system when wrapped),
+      // before the first highlight places any label (labels=all shows them all right away)
+      globalAnalysisBaselineY = computeGlobalAnalysisBaselineY();
+      systemBaselines = computeSystemBaselines();
+
+      if (DEBUG) {
+        console.log("[analysis] global baseline Y:", globalAnalysisBaselineY);
+        if (IS_WRAPPED) console.log(`[layout] ${LAYOUT}: ${pageCount} page(s), system baselines:`, systemBaselines);
+      }
+
+      // Initial highlight
+      highlightStep(0);
+
+      // ✅ CC23 now always has the correct value
+      sendStepCountCc();
+      viewerReady = true;
+
+      if (HANDOUT_PARAM) setHandout(HANDOUT_PARAM);
+
+      notifyParentOfHeight();
+      announceReady(undefined, emit);
+
+      // Transposed or resized while loading: catch up
+      if (transposition !== renderedTransposition) rerenderTransposed();
+      if (IS_WRAPPED && wrappedLayoutKey(wrappedLayoutOptions()) !== laidOutFor) scheduleRelayout();
+    }
+
+    function reportLoadError(e) {
       console.error(e);
       elScore.textContent = String(e && e.message ? e.message : e);
+      emit("error", { code: "load-failed", message: elScore.textContent, fatal: true });
+    }
+
+    // ---------------------------
+    // Lifecycle: load() another score, destroy()
+    // ---------------------------
+    let midiReady = null; // control map + ports (once per viewer, before the first load)
+
+    async function load(scoreUrl, opts = {}) {
+      // opts.analysis: like the analysis option (path, inline JSON string or object, "none");
+      // opts.format: like the format option; omitted: keep the current option
+      SCORE_URL = String(scoreUrl || "");
+      if (opts && "format" in opts) FORMAT_PARAM = normalizeScoreFormat(opts.format);
+      if (opts && "analysis" in opts) {
+        const a = opts.analysis;
+        ANALYSIS_PARAM = a && typeof a === "object" ? JSON.stringify(a) : String(a || "").trim();
+      }
+      try {
+        await midiReady;
+        await loadAndRender(SCORE_URL);
+      } catch (e) {
+        if (!destroyed) reportLoadError(e);
+        throw e;
+      }
+      return viewerState();
+    }
+
+    function destroy() {
+      if (destroyed) return;
+      const wasActive = isActiveViewer;
+      pausePlayback();
+      releaseMidiNotes();
+      stopAudio();
+
+      destroyed = true;
+      loadToken++;
+      isActiveViewer = false;
+      window.clearTimeout(digitTimer);
+      window.clearTimeout(relayoutTimer);
+      for (const undo of cleanups.splice(0)) undo();
+      midiHub.viewers.delete(hubEntry);
+
+      if (audioCtx && typeof audioCtx.close === "function") audioCtx.close();
+      if (vrvToolkit && typeof vrvToolkit.destroy === "function") vrvToolkit.destroy();
+      vrvToolkit = null;
+
+      root.classList.remove("harmony-viewer", `layout-${LAYOUT}`);
+      if (addedTabIndex) root.removeAttribute("tabindex");
+      root.textContent = "";
+
+      // MIDI goes to another viewer on the page (if any)
+      const next = midiHub.viewers.values().next().value;
+      if (wasActive && next) next.claim();
+    }
+
+    // Resize handling: the window (and Reveal's scaling with it), and the container's own width
+    listen(window, "resize", scheduleRelayout);
+    if (typeof ResizeObserver === "function") {
+      const observer = new ResizeObserver((entries) => {
+        const width = entries[entries.length - 1].contentRect.width;
+        if (width === observedWidth) return; // height changes are our own rendering
+        if (observedWidth !== null) scheduleRelayout();
+        observedWidth = width;
+      });
+      observer.observe(root);
+      cleanups.push(() => observer.disconnect());
+    }
+
+    if (IS_EMBEDDED) listen(window, "message", handleHostMessage);
+    listen(window, "afterprint", afterPrint);
+    midiHub.viewers.add(hubEntry);
+
+    // Start
+    wireDebug();
+    wireAnalysisExport();
+    wireEditor();
+    wireExport();
+    wireNavigation();
+    midiReady = (async () => {
+      midiMap = await loadMidiMap();
+      await initMidi();
+    })();
+    if (TRANSPOSE_PARAM === null) debugReport(`[transpose] "${params.get("transpose")}" is not a transposition (M2, -m3, +2, -5, Eb)`);
+    load(SCORE_URL).catch(() => {}); // reported in the viewer and as an "error" event
+
+    const api = {
+      element: root,
+      load,
+      setStep: (step) => highlightStep(clampInt(step, 0, harmonicSteps.length)),
+      next: stepNext,
+      previous: stepPrevious,
+      clear: () => {
+        pausePlayback();
+        highlightStep(0);
+      },
+      setLabelMode,
+      play: startPlayback,
+      pause: pausePlayback,
+      togglePlay: togglePlayback,
+      setTempo: setPlaybackTempo,
+      setTransposition,
+      activate: (step) => activate(currentSlideIndex, step === undefined ? highlightedStep : step),
+      deactivate,
+      getState: viewerState,
+      exportAnalysis,
+      exportSvg,
+      exportPng,
+      print: printHandout,
+      setHandout,
+      destroy,
+    };
+    return api;
+  }
+
+  // ---------------------------
+  // <harmony-viewer score="..." analysis="..." labels="reveal"> — attributes = URL parameters
+  //   score / format / analysis changes reload the score, transpose re-renders it, other changes rebuild the viewer
+  //   methods: setStep, next, previous, clear, load, play, pause, ... (see createHarmonyViewer)
+  // ---------------------------
+  const ELEMENT_ATTRIBUTES = [
+    "score", "format", "analysis", "title", "debug", "zoom", "labels", "colors", "layout",
+    "in", "out", "midimap", "held", "rests", "grace", "keys",
+    "sound", "tempo", "notes", "duration", "channel", "channels", "velocity", "arp", "arpdelay",
+    "quiz", "quizadvance", "follow", "followoffset", "edit", "export", "pngscale", "handout", "transpose",
+  ];
+  const ELEMENT_METHODS = [
+    "load", "setStep", "next", "previous", "clear", "setLabelMode",
+    "play", "pause", "togglePlay", "setTempo", "setTransposition", "activate", "deactivate", "getState",
+    "exportAnalysis", "exportSvg", "exportPng", "print", "setHandout",
+  ];
+
+  class HarmonyViewerElement extends HTMLElement {
+    static get observedAttributes() {
+      return ELEMENT_ATTRIBUTES;
     }
-  })();
+
+    connectedCallback() {
+      if (!this.viewer) this.viewer = createHarmonyViewer(this, this.viewerOptions());
+    }
+
+    disconnectedCallback() {
+      if (!this.viewer) return;
+      this.viewer.destroy();
+      this.viewer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.viewer || oldValue === value) return;
+      if (name === "score" || name === "format" || name === "analysis") {
+        const opts = { format: this.getAttribute("format"), analysis: this.getAttribute("analysis") };
+        this.viewer.load(this.getAttribute("score"), opts).catch(() => {});
+        return;
+      }
+      if (name === "transpose") {
+        this.viewer.setTransposition(value || "");
+        return;
+      }
+      this.viewer.destroy();
+      this.viewer = createHarmonyViewer(this, this.viewerOptions());
+    }
+
+    viewerOptions() {
+      const options = {};
+      for (const name of ELEMENT_ATTRIBUTES) {
+        if (this.hasAttribute(name)) options[name] = this.getAttribute(name);
+      }
+      return options;
+    }
+  }
+
+  for (const name of ELEMENT_METHODS) {
+    HarmonyViewerElement.prototype[name] = function (...args) {
+      return this.viewer ? this.viewer[name](...args) : undefined;
+    };
+  }
+
+  window.createHarmonyViewer = createHarmonyViewer;
+  window.HarmonyViewerElement = HarmonyViewerElement;
+  if (window.customElements && !window.customElements.get("harmony-viewer")) {
+    window.customElements.define("harmony-viewer", HarmonyViewerElement);
+  }
 })();
@@ -2,12 +2,44 @@
    - Activates ONLY the iframe on the current slide
    - Deactivates all other Harmony iframes (prevents MIDI accumulation)
    - Auto-resizes iframe AND slide section correctly
+   - Fragments with data-harmony-step="3" | "next" | "previous" | "clear" drive the viewer's step
+     (recomputed from the visible fragments, so stepping back restores the previous step)
+   - Keeps each viewer's step + label mode in Reveal's getState/setState and in the URL hash
+     (#/2/1/&harmony=id:step:mode,...), so reloads and deep links land on the same chord
+   - Speaker view: its (silent) copies of the viewers mirror the main window
+   - Speaks the viewer's postMessage protocol ("harmony-viewer" v1, see README "Host protocol"):
+       hello on iframe load, activate/deactivate, resize; every viewer event is re-dispatched
+       on its iframe as a DOM event "harmony:<type>" (event.detail = message)
 */
 
 (function () {
+  const PROTOCOL = "harmony-viewer";
+  const PROTOCOL_VERSION = 1;
+
+  function iframeOrigin(iframe) {
+    // Messages only go to (and are only taken from) the origin the viewer was loaded from
+    try {
+      const origin = new URL(iframe.src, window.location.href).origin;
+      return origin === "null" ? "*" : origin;
+    } catch {
+      return "*";
+    }
+  }
+
+  function send(iframe, type, payload) {
+    if (!iframe || !iframe.contentWindow) return;
+    iframe.contentWindow.postMessage(
+      Object.assign({ protocol: PROTOCOL, version: PROTOCOL_VERSION, type: type }, payload || {}),
+      iframeOrigin(iframe)
+    );
+  }
+
   window.RevealHarmony = {
     id: "harmony",
 
+    // Commands from deck code, e.g. RevealHarmony.send(iframe, "set-step", { step: 3 })
+    send: send,
+
     init: function (deck) {
       console.log("[RevealHarmony] plugin initialized");
 
@@ -57,6 +89,181 @@
       }
 
 
+      /* -------------------------------------------------
+         Persistent viewer state: { [viewerKey]: { step, labelMode } }
+      ------------------------------------------------- */
+      // Speaker-view previews load the deck with ?receiver: they mirror, never sound, never write the URL
+      const IS_RECEIVER = /(^|[?&])receiver(&|=|$)/.test(window.location.search);
+      const HASH_STATE_RE = /\/?&harmony=([^&]*)/;
+      const viewerStates = {};
+      const stepCounts = new WeakMap(); // iframe -> step count (from the viewer's events); set = viewer ready
+      const channel = typeof BroadcastChannel === "function" ? new BroadcastChannel("reveal-harmony") : null;
+      let hashWriteTimer = null;
+
+      function viewerKey(iframe) {
+        return iframe.id || `harmony-${getHarmonyIframes().indexOf(iframe)}`;
+      }
+
+      function iframeForKey(key) {
+        return getHarmonyIframes().find((f) => viewerKey(f) === key) || null;
+      }
+
+      function readHashState() {
+        // -> { [viewerKey]: state } from the hash (null without one); the hash keeps only Reveal's part
+        const m = window.location.hash.match(HASH_STATE_RE);
+        if (!m) return null;
+
+        const states = {};
+        for (const part of m[1].split(",")) {
+          const [key, step, labelMode] = part.split(":");
+          if (!key) continue;
+          states[decodeURIComponent(key)] = { step: Number(step) || 0, labelMode: labelMode || null };
+        }
+
+        // Reveal would take "#/intro/&harmony=..." for a slide named "intro/&harmony=..."
+        const hash = window.location.hash.replace(HASH_STATE_RE, "");
+        history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+        return states;
+      }
+
+      function writeHashState() {
+        if (IS_RECEIVER || !deck.getConfig().hash) return;
+
+        const parts = Object.keys(viewerStates)
+          .filter((key) => viewerStates[key].step || viewerStates[key].labelMode) // defaults need no entry
+          .map((key) => {
+            const st = viewerStates[key];
+            return [encodeURIComponent(key), st.step].concat(st.labelMode ? [st.labelMode] : []).join(":");
+          });
+        // "/" first: Reveal parses #/h/v/f with parseInt, an extra path segment is ignored
+        const base = window.location.hash.replace(HASH_STATE_RE, "").replace(/\/$/, "") || "#";
+        const hash = parts.length ? `${base}/&harmony=${parts.join(",")}` : base;
+        if (hash !== window.location.hash) {
+          history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+        }
+      }
+
+      function scheduleHashWrite() {
+        // After Reveal has rewritten the hash for a slide / fragment change
+        clearTimeout(hashWriteTimer);
+        hashWriteTimer = setTimeout(writeHashState, 50);
+      }
+
+      function rememberViewerState(iframe, patch) {
+        const key = viewerKey(iframe);
+        const st = Object.assign({ step: 0, labelMode: null }, viewerStates[key], patch);
+        const prev = viewerStates[key];
+        if (prev && prev.step === st.step && prev.labelMode === st.labelMode) return;
+
+        viewerStates[key] = st;
+        if (IS_RECEIVER) return;
+        scheduleHashWrite();
+        if (channel) channel.postMessage({ key: key, state: st });
+      }
+
+      function restoreViewerState(iframe, st) {
+        if (!st) return;
+        if (st.labelMode) send(iframe, "set-label-mode", { mode: st.labelMode });
+        send(iframe, "set-step", { step: Number(st.step) || 0 });
+      }
+
+      function applyStates(states) {
+        // From setState (speaker view, Reveal's own restore) or the main window's broadcast
+        for (const key of Object.keys(states || {})) {
+          viewerStates[key] = Object.assign({ step: 0, labelMode: null }, states[key]);
+          const iframe = iframeForKey(key);
+          if (iframe && stepCounts.has(iframe)) restoreViewerState(iframe, viewerStates[key]);
+        }
+      }
+
+      // At init Reveal reads the hash after the plugins; on a later hash change (a pasted link,
+      // back / forward) this capturing listener runs before Reveal's own
+      Object.assign(viewerStates, readHashState());
+      window.addEventListener(
+        "hashchange",
+        () => {
+          const states = readHashState();
+          if (!states) return;
+          applyStates(states);
+          scheduleHashWrite(); // back on once Reveal has moved to the slide
+        },
+        true
+      );
+
+      const revealGetState = deck.getState.bind(deck);
+      const revealSetState = deck.setState.bind(deck);
+      deck.getState = function () {
+        return Object.assign(revealGetState(), { harmony: JSON.parse(JSON.stringify(viewerStates)) });
+      };
+      deck.setState = function (state) {
+        revealSetState(state);
+        if (state && state.harmony) applyStates(state.harmony);
+      };
+
+      if (channel && IS_RECEIVER) {
+        channel.onmessage = (event) => {
+          const data = event.data;
+          if (data && data.key) applyStates({ [data.key]: data.state });
+        };
+      }
+
+      /* -------------------------------------------------
+         Fragment-driven steps
+      ------------------------------------------------- */
+
+      function fragmentTargets(fragment, slide) {
+        // data-harmony-target="#id" picks one viewer; default: every viewer on the slide
+        const selector = fragment.getAttribute("data-harmony-target");
+        const scope = selector ? Array.from(slide.querySelectorAll(selector)) : [slide];
+        return getHarmonyIframes().filter((f) => scope.some((el) => el === f || el.contains(f)));
+      }
+
+      function fragmentStepFor(slide, iframe) {
+        // null = this slide has no step fragments for the iframe (leave its step alone)
+        if (!slide) return null;
+        const fragments = Array.from(slide.querySelectorAll(".fragment[data-harmony-step]"))
+          .filter((f) => fragmentTargets(f, slide).includes(iframe));
+        if (!fragments.length) return null;
+
+        // Replay the visible fragments in Reveal's order (data-fragment-index, then document order)
+        const shown = fragments
+          .filter((f) => f.classList.contains("visible"))
+          .sort((a, b) => Number(a.getAttribute("data-fragment-index") || 0) - Number(b.getAttribute("data-fragment-index") || 0));
+
+        let step = 0;
+        for (const f of shown) {
+          const value = (f.getAttribute("data-harmony-step") || "").trim().toLowerCase();
+          if (value === "next") step++;
+          else if (value === "previous") step = Math.max(0, step - 1);
+          else if (value === "clear") step = 0;
+          else if (/^\d+$/.test(value)) step = Number(value);
+          else console.warn("[RevealHarmony] unknown data-harmony-step:", value);
+        }
+
+        const count = stepCounts.get(iframe);
+        return count ? Math.min(step, count) : step;
+      }
+
+      function applyFragmentSteps() {
+        const current = deck.getCurrentSlide();
+        for (const iframe of getHarmonyIframes()) {
+          if (!current || !current.contains(iframe)) continue;
+          const step = fragmentStepFor(current, iframe);
+          if (step !== null) send(iframe, "set-step", { step: step });
+        }
+      }
+
+      function activationMessage(iframe, current, slideIndex, restoredStep) {
+        const isActive = current && current.contains(iframe);
+        if (!isActive || IS_RECEIVER) return ["deactivate", { slideIndex: slideIndex }];
+
+        // Entering a slide: start at the step its visible fragments describe (one highlight, one chord);
+        // restoredStep: a reloaded viewer's saved step when the fragments say nothing
+        const fragmentStep = fragmentStepFor(current, iframe);
+        const step = fragmentStep === null ? restoredStep : fragmentStep;
+        return ["activate", step === null || step === undefined ? { slideIndex: slideIndex } : { slideIndex: slideIndex, step: step }];
+      }
+
       function activateCurrentIframe(event) {
         const current = deck.getCurrentSlide();
         const slideIndex = computeSlideIndex(event);
@@ -66,15 +273,7 @@
 
           const isActive = current && current.contains(iframe);
 
-          iframe.contentWindow.postMessage(
-            {
-              type: isActive ? "harmony-activate" : "harmony-deactivate",
-              slideIndex: slideIndex
-            },
-            "*"
-          );
-
-
+          send(iframe, ...activationMessage(iframe, current, slideIndex));
 
           const section = iframe.closest("section");
           if (section) {
@@ -91,23 +290,78 @@
          Reveal lifecycle hooks
       ------------------------------------------------- */
       deck.on("ready", (event) => activateCurrentIframe(event));
-      deck.on("slidechanged", (event) => activateCurrentIframe(event));
-      deck.on("fragmentshown", (event) => activateCurrentIframe(event));
-      deck.on("fragmenthidden", (event) => activateCurrentIframe(event));
+      deck.on("slidechanged", (event) => {
+        activateCurrentIframe(event);
+        scheduleHashWrite();
+      });
+      deck.on("fragmentshown", () => {
+        applyFragmentSteps();
+        scheduleHashWrite();
+      });
+      deck.on("fragmenthidden", () => {
+        applyFragmentSteps();
+        scheduleHashWrite();
+      });
+
+      /* -------------------------------------------------
+         Handshake: hello on every (re)load, the viewer answers "ready"
+      ------------------------------------------------- */
+      for (const iframe of getHarmonyIframes()) {
+        iframe.addEventListener("load", () => send(iframe, "hello"));
+        send(iframe, "hello"); // already loaded before the plugin ran
+      }
 
       /* -------------------------------------------------
-         Resize handling from viewer
+         Events from viewers (resize, ready, step-changed, ...)
       ------------------------------------------------- */
       window.addEventListener("message", (event) => {
         const msg = event.data;
-        if (!msg || typeof msg !== "object") return;
-        if (msg.type !== "harmony-resize") return;
+        if (!msg || typeof msg !== "object" || msg.protocol !== PROTOCOL) return;
 
         const iframe = getHarmonyIframes().find(
           (f) => f.contentWindow === event.source
         );
         if (!iframe) return;
 
+        const expected = iframeOrigin(iframe);
+        if (expected !== "*" && event.origin !== expected) return;
+
+        iframe.dispatchEvent(new CustomEvent(`harmony:${msg.type}`, { detail: msg, bubbles: true }));
+
+        if (msg.type === "step-count") {
+          stepCounts.set(iframe, Number(msg.stepCount) || 0);
+          return;
+        }
+
+        if (msg.type === "ready") {
+          // A viewer that (re)loaded learns whether it is active, and gets its saved step / label mode back
+          stepCounts.set(iframe, msg.state ? Number(msg.state.stepCount) || 0 : 0);
+          const saved = viewerStates[viewerKey(iframe)];
+          if (saved && saved.labelMode) send(iframe, "set-label-mode", { mode: saved.labelMode });
+
+          const [type, payload] = activationMessage(iframe, deck.getCurrentSlide(), computeSlideIndex(), saved ? saved.step : null);
+          send(iframe, type, payload);
+          if (type === "deactivate" && saved) send(iframe, "set-step", { step: saved.step }); // silent highlight
+          return;
+        }
+
+        if (msg.type === "step-changed") {
+          rememberViewerState(iframe, { step: Number(msg.step) || 0 });
+          return;
+        }
+
+        if (msg.type === "label-mode-changed") {
+          rememberViewerState(iframe, { labelMode: msg.labelMode });
+          return;
+        }
+
+        if (msg.type === "error") {
+          console.warn("[RevealHarmony]", msg.code, msg.message);
+          return;
+        }
+
+        if (msg.type !== "resize") return;
+
         const height = Number(msg.height);
         if (!height || height <= 0) return;
 